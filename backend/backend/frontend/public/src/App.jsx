@@ -0,0 +1,435 @@
+import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import Dashboard from './components/Dashboard';
+import UploadBox from './components/UploadBox';
+import ProgressBar from './components/ProgressBar';
+import {
+  checkInstallation,
+  getCurrentUser,
+  startLogin,
+  completeLogin,
+  logout,
+  selectInstallation
+} from './services/api';
+import './styles/main.css';
+
+function App() {
+  const [user, setUser] = useState(null);
+  const [userInstallations, setUserInstallations] = useState([]);
+  const [installed, setInstalled] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [uploadSession, setUploadSession] = useState(null);
+
+  useEffect(() => {
+    checkInstallationStatus();
+  }, []);
+
+  const checkInstallationStatus = async () => {
+    try {
+      setLoading(true);
+      
+      // Nothing can be installed or uploaded before the user signs in
+      const me = await getCurrentUser();
+      setUser(me?.user || null);
+      setUserInstallations(me?.installations || []);
+      if (!me) {
+        setInstalled(false);
+        return;
+      }
+      
+      const installationStatus = await checkInstallation();
+      
+      // The dashboard loads repositories itself, a page at a time
+      setInstalled(Boolean(installationStatus.installed));
+    } catch (err) {
+      console.error('Failed to check installation:', err);
+      setError('Failed to connect to server');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInstallSuccess = () => {
+    setInstalled(true);
+  };
+
+  const navigate = useNavigate();
+
+  const handleSelectInstallation = async (installationId) => {
+    try {
+      await selectInstallation(installationId);
+      await checkInstallationStatus();
+      navigate('/dashboard');
+    } catch (err) {
+      setError(err.message || 'Failed to select installation');
+    }
+  };
+
+  const handleSignIn = async () => {
+    try {
+      const { loginUrl } = await startLogin();
+      window.location.href = loginUrl;
+    } catch (err) {
+      setError('Failed to start sign-in');
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await logout();
+    } finally {
+      setUser(null);
+      setUserInstallations([]);
+      setInstalled(false);
+    }
+  };
+
+  const handleUploadStart = (sessionData) => {
+    setUploadSession(sessionData);
+  };
+
+  const handleUploadComplete = () => {
+    setUploadSession(null);
+    setError(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-spinner"></div>
+        <p>Loading GitHub Folder Uploader...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="app">
+      <header className="app-header">
+        <div className="container">
+          <h1>GitHub Folder Uploader</h1>
+          <p className="subtitle">
+            Upload folders and ZIP files directly to your GitHub repositories
+          </p>
+          {user && (
+            <div className="user-menu">
+              {user.avatarUrl && <img src={user.avatarUrl} alt="" className="user-avatar" />}
+              <span className="user-login">{user.login}</span>
+              <button onClick={handleSignOut} className="signout-button">
+                Sign out
+              </button>
+            </div>
+          )}
+        </div>
+      </header>
+
+      <main className="app-main">
+        <div className="container">
+          {error && (
+            <div className="error-banner">
+              <span>{error}</span>
+              <button 
+                onClick={() => setError(null)}
+                className="close-button"
+              >
+                ×
+              </button>
+            </div>
+          )}
+
+          <Routes>
+            <Route 
+              path="/" 
+              element={
+                <Navigate to="/dashboard" replace />
+              } 
+            />
+            
+            <Route 
+              path="/dashboard" 
+              element={
+                !user ? (
+                  <div className="install-prompt">
+                    <h2>Welcome to GitHub Folder Uploader</h2>
+                    <p>
+                      Sign in with GitHub to see the installations and repositories
+                      you have access to.
+                    </p>
+                    
+                    <button onClick={handleSignIn} className="install-button">
+                      Sign in with GitHub
+                    </button>
+                  </div>
+                ) : installed ? (
+                  <Dashboard 
+                    onUploadStart={handleUploadStart}
+                  />
+                ) : (
+                  <div className="install-prompt">
+                    <h2>Welcome to GitHub Folder Uploader</h2>
+                    <p>
+                      This application allows you to upload entire folders or ZIP files 
+                      directly to your GitHub repositories using GitHub App authentication.
+                    </p>
+                    
+                    <div className="install-steps">
+                      <div className="step">
+                        <div className="step-number">1</div>
+                        <div className="step-content">
+                          <h3>Install GitHub App</h3>
+                          <p>Install the app on your GitHub account or organization</p>
+                        </div>
+                      </div>
+                      
+                      <div className="step">
+                        <div className="step-number">2</div>
+                        <div className="step-content">
+                          <h3>Select Repository</h3>
+                          <p>Choose where to upload your files</p>
+                        </div>
+                      </div>
+                      
+                      <div className="step">
+                        <div className="step-number">3</div>
+                        <div className="step-content">
+                          <h3>Upload Files</h3>
+                          <p>Drag & drop folders or ZIP files</p>
+                        </div>
+                      </div>
+                    </div>
+                    
+                    <button 
+                      onClick={() => window.location.href = '/dashboard/install'}
+                      className="install-button"
+                    >
+                      Get Started
+                    </button>
+                    
+                    <ExistingInstallations
+                      installations={userInstallations}
+                      onSelect={handleSelectInstallation}
+                    />
+                  </div>
+                )
+              } 
+            />
+            
+            <Route 
+              path="/auth/callback" 
+              element={
+                <LoginCallback 
+                  onSignedIn={checkInstallationStatus}
+                  onError={setError}
+                />
+              } 
+            />
+            
+            <Route 
+              path="/dashboard/install" 
+              element={
+                <InstallFlow 
+                  installations={userInstallations}
+                  onSelectInstallation={handleSelectInstallation}
+                  onInstallSuccess={handleInstallSuccess}
+                  onError={setError}
+                />
+              } 
+            />
+            
+            <Route 
+              path="/upload" 
+              element={
+                uploadSession ? (
+                  <UploadProgress 
+                    sessionId={uploadSession.sessionId}
+                    fileCount={uploadSession.fileCount}
+                    onComplete={handleUploadComplete}
+                    onError={setError}
+                  />
+                ) : (
+                  <Navigate to="/dashboard" replace />
+                )
+              } 
+            />
+          </Routes>
+        </div>
+      </main>
+
+      <footer className="app-footer">
+        <div className="container">
+          <p>
+            Using GitHub App authentication • 
+            <a 
+              href={`https://github.com/apps/${process.env.REACT_APP_GITHUB_APP_SLUG}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              About the GitHub App
+            </a>
+          </p>
+          <p className="copyright">
+            GitHub Folder Uploader © {new Date().getFullYear()} • 
+            Not affiliated with GitHub, Inc.
+          </p>
+        </div>
+      </footer>
+    </div>
+  );
+}
+
+function InstallFlow({ installations, onSelectInstallation, onInstallSuccess, onError }) {
+  const [loading, setLoading] = useState(false);
+  const [installUrl, setInstallUrl] = useState(null);
+
+  useEffect(() => {
+    startInstallation();
+  }, []);
+
+  const startInstallation = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/install/start`, {
+        credentials: 'include'
+      });
+      
+      if (!response.ok) {
+        throw new Error('Failed to start installation');
+      }
+      
+      const data = await response.json();
+      setInstallUrl(data.installUrl);
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="install-flow">
+        <div className="loading-spinner"></div>
+        <p>Preparing installation...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="install-flow">
+      <h2>Install GitHub App</h2>
+      
+      {installUrl && (
+        <>
+          <div className="install-info">
+            <p>
+              You'll be redirected to GitHub to install the app. 
+              After installation, you'll return to this application.
+            </p>
+            
+            <div className="permissions-list">
+              <h4>Permissions requested:</h4>
+              <ul>
+                <li>
+                  <strong>Repository contents:</strong> Read & write access
+                </li>
+                <li>
+                  <strong>Repository metadata:</strong> Read-only access
+                </li>
+              </ul>
+            </div>
+          </div>
+          
+          <div className="install-actions">
+            <button
+              onClick={() => window.location.href = installUrl}
+              className="install-button"
+            >
+              Install GitHub App
+            </button>
+            
+            <button
+              onClick={() => window.history.back()}
+              className="cancel-button"
+            >
+              Cancel
+            </button>
+          </div>
+          
+          <ExistingInstallations
+            installations={installations}
+            onSelect={onSelectInstallation}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Installations the signed-in user belongs to that this session doesn't use
+// yet; adding one needs no trip through GitHub's install page
+function ExistingInstallations({ installations, onSelect }) {
+  const available = installations.filter(installation => !installation.added);
+
+  if (available.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="existing-installations">
+      <h3>Or add an account where the app is already installed</h3>
+      <ul>
+        {available.map(installation => (
+          <li key={installation.id}>
+            <span>
+              {installation.account}
+              {installation.suspended && ' (suspended)'}
+            </span>
+            <button
+              onClick={() => onSelect(installation.id)}
+              disabled={installation.suspended}
+              className="select-installation-button"
+            >
+              Add
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// GitHub redirects here after "Sign in with GitHub" with a code to exchange
+function LoginCallback({ onSignedIn, onError }) {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    completeLogin(searchParams.get('code'), searchParams.get('state'))
+      .then(() => onSignedIn())
+      .catch(err => onError(err.message || 'Failed to sign in with GitHub'))
+      .finally(() => navigate('/dashboard', { replace: true }));
+  }, []);
+
+  return (
+    <div className="install-flow">
+      <div className="loading-spinner"></div>
+      <p>Signing in...</p>
+    </div>
+  );
+}
+
+function UploadProgress({ sessionId, fileCount, onComplete, onError }) {
+  // Implementation would connect to SSE and show progress
+  return (
+    <div className="upload-progress-view">
+      <ProgressBar 
+        sessionId={sessionId}
+        fileCount={fileCount}
+        onComplete={onComplete}
+        onError={onError}
+      />
+    </div>
+  );
+}
+
+export default App;
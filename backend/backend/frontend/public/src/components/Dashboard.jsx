@@ -1,78 +1,163 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import UploadBox from './UploadBox';
-import RepoSelector from './RepoSelector';
-import { getRepositories } from '../services/api';
+import RepoSelector, { describeAccess } from './RepoSelector';
+import UploadPreview from './UploadPreview';
+import SkippedFiles from './SkippedFiles';
+import {
+  startUpload,
+  startFolderUpload,
+  getUploadPreview,
+  executeUpload,
+  cancelUpload
+} from '../services/api';
 
-function Dashboard({ repositories: initialRepositories, onUploadStart, onRefreshRepos }) {
-  const [repositories, setRepositories] = useState(initialRepositories || []);
-  const [loading, setLoading] = useState(!initialRepositories);
+function Dashboard({ onUploadStart }) {
+  // Bumped by the refresh button; RepoSelector reloads its lists when it changes
+  const [refreshKey, setRefreshKey] = useState(0);
   const [selectedRepo, setSelectedRepo] = useState(null);
   const [selectedBranch, setSelectedBranch] = useState('');
+  // What the repos API says uploads may do on the selected branch
+  const [branchAccess, setBranchAccess] = useState(null);
   const [uploadConfig, setUploadConfig] = useState({
     basePath: '',
-    commitMessage: 'Upload files via GitHub Folder Uploader'
+    commitMessage: 'Upload files via GitHub Folder Uploader',
+    mirror: false,
+    createPullRequest: false,
+    newBranch: '',
+    prTitle: '',
+    prBody: ''
   });
-
-  useEffect(() => {
-    if (!initialRepositories) {
-      loadRepositories();
-    }
-  }, []);
-
-  const loadRepositories = async () => {
-    try {
-      setLoading(true);
-      const repos = await getRepositories();
-      setRepositories(repos);
-      if (onRefreshRepos) {
-        onRefreshRepos(repos);
-      }
-    } catch (error) {
-      console.error('Failed to load repositories:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const [pendingSession, setPendingSession] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+  const [skipped, setSkipped] = useState([]);
+  // Folder files the browser left out by .gitignore pattern, shown with the
+  // files the server skipped
+  const [excluded, setExcluded] = useState([]);
+  const [executing, setExecuting] = useState(false);
 
   const handleRepoSelect = (repo) => {
     setSelectedRepo(repo);
     setSelectedBranch(repo.default_branch || 'main');
+    setBranchAccess(null);
+  };
+
+  const handleBranchSelect = (branchName, branch) => {
+    setSelectedBranch(branchName);
+    setBranchAccess(branch?.access || null);
+    
+    // Branches that reject direct commits get a pull request instead; without
+    // access details, any protected branch is assumed to
+    const directPush = branch?.access ? branch.access.direct_push : !branch?.protected;
+    if (!directPush) {
+      setUploadConfig(prev => ({
+        ...prev,
+        createPullRequest: true,
+        newBranch: prev.newBranch || `upload-${Date.now().toString(36)}`
+      }));
+    }
   };
 
-  const handleUploadReady = (files) => {
+  const handleUploadReady = async (files, { folder = false, paths = [], excluded = [] } = {}) => {
     if (!selectedRepo) {
       alert('Please select a repository first');
       return;
     }
 
+    if (branchAccess && !branchAccess.direct_push && !uploadConfig.createPullRequest) {
+      alert(`Files can't be committed to ${selectedBranch} directly, open a pull request instead`);
+      return;
+    }
+
+    if (uploadConfig.createPullRequest && !uploadConfig.newBranch.trim()) {
+      alert('Please enter a name for the new branch');
+      return;
+    }
+
     const [owner, repoName] = selectedRepo.full_name.split('/');
+    const { createPullRequest, newBranch, prTitle, prBody, mirror, ...baseConfig } = uploadConfig;
     
-    onUploadStart({
-      files,
-      config: {
+    try {
+      setPreviewLoading(true);
+      setPreviewError(null);
+      setSkipped([]);
+      setExcluded(excluded.map(path => ({ path, reason: 'excluded' })));
+      
+      const options = {
+        // The installation the repository was listed under acts for the upload
+        installationId: selectedRepo.installation_id,
         owner,
         repo: repoName,
         branch: selectedBranch,
-        ...uploadConfig
-      }
-    });
+        ...baseConfig,
+        ...(mirror && { mirror: true }),
+        ...(createPullRequest && {
+          newBranch: newBranch.trim(),
+          prTitle,
+          prBody
+        })
+      };
+      
+      // Folders go up file by file, each named by its path in the folder
+      const session = folder
+        ? await startFolderUpload(files, paths, options)
+        : await startUpload(files[0], options);
+      setPendingSession(session);
+      setSkipped(session.skipped || []);
+      
+      // Nothing is uploaded until the preview is confirmed
+      setPreview(await getUploadPreview(session.sessionId));
+    } catch (error) {
+      console.error('Failed to prepare upload:', error);
+      setPreviewError(error.message || 'Failed to prepare upload');
+      // An upload with nothing left to commit still says what was dropped
+      setSkipped(error.skipped || []);
+    } finally {
+      setPreviewLoading(false);
+    }
   };
 
-  if (loading) {
-    return (
-      <div className="dashboard-loading">
-        <div className="spinner"></div>
-        <p>Loading your repositories...</p>
-      </div>
-    );
-  }
+  const handlePreviewConfirm = async (selectedPaths) => {
+    try {
+      setExecuting(true);
+      await executeUpload(pendingSession.sessionId, selectedPaths);
+      
+      onUploadStart({
+        sessionId: pendingSession.sessionId,
+        fileCount: selectedPaths.length
+      });
+      setPendingSession(null);
+      setPreview(null);
+      setSkipped([]);
+      setExcluded([]);
+    } catch (error) {
+      console.error('Failed to execute upload:', error);
+      setPreviewError(error.message || 'Failed to start upload');
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const handlePreviewDiscard = async () => {
+    if (pendingSession) {
+      await cancelUpload(pendingSession.sessionId).catch(error => {
+        console.error('Failed to discard upload session:', error);
+      });
+    }
+    setPendingSession(null);
+    setPreview(null);
+    setPreviewError(null);
+    setSkipped([]);
+    setExcluded([]);
+  };
 
   return (
     <div className="dashboard">
       <div className="dashboard-header">
         <h2>Upload to GitHub</h2>
         <button 
-          onClick={loadRepositories}
+          onClick={() => setRefreshKey(key => key + 1)}
           className="refresh-button"
           title="Refresh repositories"
         >
@@ -83,11 +168,12 @@ function Dashboard({ repositories: initialRepositories, onUploadStart, onRefresh
       <div className="dashboard-content">
         <div className="repo-section">
           <RepoSelector
-            repositories={repositories}
+            refreshKey={refreshKey}
             selectedRepo={selectedRepo}
             selectedBranch={selectedBranch}
             onRepoSelect={handleRepoSelect}
-            onBranchSelect={setSelectedBranch}
+            onBranchSelect={handleBranchSelect}
+            onAddInstallation={() => window.location.href = '/dashboard/install'}
           />
         </div>
 
@@ -126,21 +212,133 @@ function Dashboard({ repositories: initialRepositories, onUploadStart, onRefresh
                   placeholder="Describe your changes..."
                 />
               </div>
+
+              <div className="form-group checkbox-group">
+                <label htmlFor="mirror">
+                  <input
+                    type="checkbox"
+                    id="mirror"
+                    checked={uploadConfig.mirror}
+                    onChange={(e) => setUploadConfig(prev => ({
+                      ...prev,
+                      mirror: e.target.checked
+                    }))}
+                  />
+                  Mirror mode: delete files in the target directory that are not in the upload
+                </label>
+                <small className="form-help">
+                  Deletions are listed in the preview before anything is changed
+                </small>
+              </div>
+
+              <div className="form-group checkbox-group">
+                <label htmlFor="createPullRequest">
+                  <input
+                    type="checkbox"
+                    id="createPullRequest"
+                    checked={uploadConfig.createPullRequest}
+                    disabled={branchAccess && !branchAccess.direct_push}
+                    onChange={(e) => setUploadConfig(prev => ({
+                      ...prev,
+                      createPullRequest: e.target.checked
+                    }))}
+                  />
+                  Create a new branch from <strong>{selectedBranch}</strong> and open a pull request
+                </label>
+                {branchAccess && !branchAccess.direct_push && (
+                  <small className="form-help">
+                    Direct commits to {selectedBranch} aren't possible: {describeAccess(branchAccess)}
+                  </small>
+                )}
+                {branchAccess?.requires_signed_commits && (
+                  <small className="form-help">
+                    {selectedBranch} requires signed commits; commits made by the app are signed by GitHub
+                  </small>
+                )}
+              </div>
+
+              {uploadConfig.createPullRequest && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="newBranch">New Branch Name:</label>
+                    <input
+                      type="text"
+                      id="newBranch"
+                      value={uploadConfig.newBranch}
+                      onChange={(e) => setUploadConfig(prev => ({
+                        ...prev,
+                        newBranch: e.target.value
+                      }))}
+                      placeholder="e.g., upload/docs-update"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="prTitle">Pull Request Title:</label>
+                    <input
+                      type="text"
+                      id="prTitle"
+                      value={uploadConfig.prTitle}
+                      onChange={(e) => setUploadConfig(prev => ({
+                        ...prev,
+                        prTitle: e.target.value
+                      }))}
+                      placeholder="Defaults to the commit message"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="prBody">Pull Request Description:</label>
+                    <textarea
+                      id="prBody"
+                      value={uploadConfig.prBody}
+                      onChange={(e) => setUploadConfig(prev => ({
+                        ...prev,
+                        prBody: e.target.value
+                      }))}
+                      rows="3"
+                    />
+                  </div>
+                </>
+              )}
             </div>
 
             <div className="upload-area">
-              <UploadBox
-                onFilesSelected={handleUploadReady}
-                maxSize={100 * 1024 * 1024} // 100MB
-                acceptedFiles={['.zip']}
-                disabled={!selectedRepo}
-              />
+              {previewError && (
+                <div className="upload-error">
+                  <span className="error-icon">⚠️</span>
+                  <span className="error-message">{previewError}</span>
+                </div>
+              )}
+
+              {!previewLoading && <SkippedFiles skipped={[...excluded, ...skipped]} />}
+
+              {previewLoading ? (
+                <div className="dashboard-loading">
+                  <div className="spinner"></div>
+                  <p>Comparing files with {selectedBranch}...</p>
+                </div>
+              ) : preview ? (
+                <UploadPreview
+                  preview={preview}
+                  onConfirm={handlePreviewConfirm}
+                  onCancel={handlePreviewDiscard}
+                  submitting={executing}
+                />
+              ) : (
+                <UploadBox
+                  onFilesSelected={handleUploadReady}
+                  maxSize={100 * 1024 * 1024} // 100MB
+                  acceptedFiles={['.zip', '.tar', '.tar.gz', '.tgz', '.tar.bz2', '.tbz2']}
+                  disabled={!selectedRepo}
+                />
+              )}
             </div>
 
             <div className="upload-info">
               <h4>Supported uploads:</h4>
               <ul>
-                <li>ZIP archives containing folders and files</li>
+                <li>Folders, or ZIP, tar, tar.gz and tar.bz2 archives containing them</li>
                 <li>Maximum size: 100MB per upload</li>
                 <li>Files will maintain their directory structure</li>
                 <li>GitHub rate limits apply (approx. 60 uploads/minute)</li>
@@ -149,30 +347,13 @@ function Dashboard({ repositories: initialRepositories, onUploadStart, onRefresh
           </div>
         )}
 
-        {!selectedRepo && repositories.length > 0 && (
+        {!selectedRepo && (
           <div className="repo-prompt">
             <div className="prompt-icon">📁</div>
             <h3>Select a Repository</h3>
             <p>Choose a repository from the list to start uploading files</p>
           </div>
         )}
-
-        {repositories.length === 0 && (
-          <div className="empty-state">
-            <div className="empty-icon">🏗️</div>
-            <h3>No Repositories Found</h3>
-            <p>
-              The GitHub App doesn't have access to any repositories yet.
-              Make sure the app is installed on an account or organization with repositories.
-            </p>
-            <button 
-              onClick={loadRepositories}
-              className="retry-button"
-            >
-              Check Again
-            </button>
-          </div>
-        )}
       </div>
     </div>
   );
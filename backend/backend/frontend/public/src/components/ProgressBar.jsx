@@ -1,11 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { createSSEConnection, getUploadStatus, cancelUpload } from '../services/api';
+import {
+  createSSEConnection,
+  getUploadStatus,
+  cancelUpload,
+  executeUpload,
+  retryUpload
+} from '../services/api';
 
 function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
   const [progress, setProgress] = useState({
     percentage: 0,
     completed: 0,
     failed: 0,
+    skipped: 0,
     total: fileCount,
     currentFile: null,
     status: 'initializing'
@@ -15,17 +22,17 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
   const [logs, setLogs] = useState([]);
   const [uploadStats, setUploadStats] = useState(null);
   const [cancelling, setCancelling] = useState(false);
+  const [pullRequest, setPullRequest] = useState(null);
+  const [failedFiles, setFailedFiles] = useState([]);
+  const [retrying, setRetrying] = useState(false);
   
   const eventSourceRef = useRef(null);
+  const lastEventIdRef = useRef(null);
   const logsEndRef = useRef(null);
 
   useEffect(() => {
     startProgressTracking();
-    return () => {
-      if (eventSourceRef.current) {
-        eventSourceRef.current.close();
-      }
-    };
+    return closeStream;
   }, [sessionId]);
 
   useEffect(() => {
@@ -33,26 +40,47 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
     logsEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [logs]);
 
+  const closeStream = () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+  };
+
   const startProgressTracking = async () => {
     try {
       // First, get initial status
       const status = await getUploadStatus(sessionId);
       updateProgressFromStatus(status);
       
-      // Connect to SSE for real-time updates
-      eventSourceRef.current = createSSEConnection(sessionId);
+      // Connect to SSE for real-time updates; a stream reopened for a retry
+      // starts after the last event we saw
+      const eventSource = createSSEConnection(sessionId, lastEventIdRef.current);
+      eventSourceRef.current = eventSource;
+      
+      // Every session event carries the session's aggregate stats
+      const listen = (type, handler) => {
+        eventSource.addEventListener(type, (event) => {
+          if (event.lastEventId) {
+            lastEventIdRef.current = event.lastEventId;
+          }
+          const data = JSON.parse(event.data);
+          if (data.stats) {
+            applyStats(data.stats);
+          }
+          handler(data);
+        });
+      };
       
-      eventSourceRef.current.onopen = () => {
+      eventSource.onopen = () => {
         addLog('Connected to upload server', 'info');
       };
       
-      eventSourceRef.current.addEventListener('connected', (event) => {
-        const data = JSON.parse(event.data);
+      listen('connected', (data) => {
         addLog(`Session ${data.sessionId} connected`, 'info');
       });
       
-      eventSourceRef.current.addEventListener('jobStart', (event) => {
-        const data = JSON.parse(event.data);
+      listen('jobStart', (data) => {
         setProgress(prev => ({
           ...prev,
           currentFile: data.filePath,
@@ -61,47 +89,68 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
         addLog(`Starting: ${data.filePath}`, 'info');
       });
       
-      eventSourceRef.current.addEventListener('jobComplete', (event) => {
-        const data = JSON.parse(event.data);
-        setProgress(prev => ({
-          ...prev,
-          completed: data.stats.completed,
-          percentage: ((data.stats.completed + data.stats.failed) / prev.total) * 100,
-          currentFile: null
-        }));
+      listen('jobComplete', (data) => {
+        setProgress(prev => ({ ...prev, currentFile: null }));
         addLog(`Completed: ${data.filePath}`, 'success');
-        
-        // Check if all files are done
-        if (data.stats.completed + data.stats.failed >= prev.total) {
-          setProgress(prev => ({ ...prev, status: 'completed' }));
-          addLog('All files uploaded successfully!', 'success');
-          setTimeout(() => onComplete(), 2000);
-        }
       });
       
-      eventSourceRef.current.addEventListener('jobError', (event) => {
-        const data = JSON.parse(event.data);
-        setProgress(prev => ({
-          ...prev,
-          failed: prev.failed + 1,
-          percentage: ((prev.completed + prev.failed + 1) / prev.total) * 100
-        }));
+      listen('jobError', (data) => {
+        setFailedFiles(prev => [...prev, { path: data.filePath, error: data.error }]);
         addLog(`Failed: ${data.filePath} - ${data.error}`, 'error');
       });
       
-      eventSourceRef.current.addEventListener('rateLimitWarning', (event) => {
-        const data = JSON.parse(event.data);
+      listen('jobRetry', (data) => {
+        const target = data.filePath || 'commit';
+        addLog(`Retrying ${target} in ${Math.ceil(data.delay / 1000)}s (attempt ${data.attempt}/${data.maxRetries}): ${data.error}`, 'warning');
+      });
+      
+      listen('jobSkipped', (data) => {
+        addLog(`Unchanged, skipped: ${data.filePath}`, 'info');
+      });
+      
+      listen('jobCancelled', (data) => {
+        addLog(`Cancelled: ${data.filePath}`, 'warning');
+      });
+      
+      listen('commitCreated', (data) => {
+        const deleted = data.deletedCount ? `, deleted ${data.deletedCount}` : '';
+        addLog(`Committed ${data.fileCount} files${deleted} as ${data.sha.substring(0, 7)}`, 'success');
+      });
+      
+      listen('pullRequestCreated', (data) => {
+        setPullRequest(data);
+        addLog(`Opened pull request #${data.number}: ${data.head} → ${data.base}`, 'success');
+      });
+      
+      // The session is over; a retry opens a new stream
+      listen('sessionComplete', (data) => {
+        closeStream();
+        setProgress(prev => ({ ...prev, status: data.status, currentFile: null }));
+        setFailedFiles(data.failedFiles || []);
+        
+        if (data.status === 'completed') {
+          addLog(data.message || 'All files uploaded successfully!', 'success');
+          if (data.error) {
+            addLog(data.error, 'warning');
+          }
+          setTimeout(() => onComplete(), 2000);
+        } else {
+          addLog(data.error || `Upload ${data.status}`, 'error');
+        }
+      });
+      
+      listen('rateLimitWarning', (data) => {
         setRateLimit({
           warning: true,
           remaining: data.remaining,
           resetTime: data.resetTime,
           resetIn: Math.ceil(data.resetIn / 1000)
         });
-        addLog(`Rate limit warning: ${data.remaining} requests remaining`, 'warning');
+        const throttle = data.throttleDelay ? `, slowing to one request every ${Math.ceil(data.throttleDelay / 1000)}s` : '';
+        addLog(`Rate limit warning: ${data.remaining} requests remaining${throttle}`, 'warning');
       });
       
-      eventSourceRef.current.addEventListener('rateLimitExceeded', (event) => {
-        const data = JSON.parse(event.data);
+      listen('rateLimitExceeded', (data) => {
         setRateLimit({
           exceeded: true,
           resetTime: data.resetTime,
@@ -111,23 +160,24 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
         addLog(`Rate limit exceeded. Waiting ${Math.ceil(data.waitTime / 1000)} seconds...`, 'warning');
       });
       
-      eventSourceRef.current.addEventListener('rateLimitResumed', () => {
+      listen('rateLimitResumed', () => {
         setRateLimit(null);
         setProgress(prev => ({ ...prev, status: 'uploading' }));
         addLog('Rate limit reset, resuming uploads', 'info');
       });
       
-      eventSourceRef.current.onerror = (error) => {
+      // The browser reconnects by itself and sends Last-Event-ID, so the
+      // server replays what was missed. It only gives up when the server
+      // refuses the stream, e.g. once the session has expired.
+      eventSource.onerror = (error) => {
         console.error('SSE error:', error);
-        addLog('Connection lost, attempting to reconnect...', 'error');
         
-        // Attempt to reconnect
-        setTimeout(() => {
-          if (eventSourceRef.current) {
-            eventSourceRef.current.close();
-          }
-          startProgressTracking();
-        }, 5000);
+        if (eventSource.readyState === EventSource.CLOSED) {
+          eventSourceRef.current = null;
+          onError('Lost the connection to the upload server');
+        } else {
+          addLog('Connection lost, reconnecting...', 'warning');
+        }
       };
       
     } catch (error) {
@@ -136,17 +186,39 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
     }
   };
 
+  const applyStats = (stats) => {
+    setProgress(prev => {
+      const total = stats.total || prev.total;
+      const done = stats.completed + stats.failed + (stats.skipped || 0);
+      return {
+        ...prev,
+        completed: stats.completed,
+        failed: stats.failed,
+        skipped: stats.skipped || 0,
+        total,
+        percentage: total > 0 ? Math.min((done / total) * 100, 100) : 0
+      };
+    });
+  };
+
   const updateProgressFromStatus = (status) => {
     setProgress({
       percentage: status.progress || 0,
       completed: status.stats?.completed || 0,
       failed: status.stats?.failed || 0,
+      skipped: status.stats?.skipped || 0,
       total: status.stats?.total || fileCount,
       currentFile: null,
       status: status.status || 'pending'
     });
     
     setUploadStats(status.stats);
+    
+    if (status.pullRequest) {
+      setPullRequest(status.pullRequest);
+    }
+    
+    setFailedFiles((status.files || []).filter(file => file.status === 'failed'));
   };
 
   const addLog = (message, type = 'info') => {
@@ -161,9 +233,18 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
     
     try {
       setCancelling(true);
-      await cancelUpload(sessionId);
-      addLog('Upload cancelled by user', 'warning');
-      onComplete();
+      const result = await cancelUpload(sessionId);
+      
+      if (result.branchUpdated) {
+        // The commit landed before the cancel reached the server
+        setProgress(prev => ({ ...prev, status: 'completed', currentFile: null }));
+        addLog(result.message, 'warning');
+        result.committedFiles.forEach(path => addLog(`Committed: ${path}`, 'info'));
+      } else {
+        setProgress(prev => ({ ...prev, status: 'cancelled', currentFile: null }));
+        addLog(`Upload cancelled by user, ${result.abortedJobs} pending files aborted`, 'warning');
+      }
+      setTimeout(() => onComplete(), 2000);
     } catch (error) {
       console.error('Failed to cancel upload:', error);
       onError('Failed to cancel upload');
@@ -172,11 +253,49 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
     }
   };
 
+  const handleResume = async () => {
+    try {
+      await executeUpload(sessionId);
+      setProgress(prev => ({ ...prev, status: 'uploading' }));
+      addLog('Resuming interrupted upload', 'info');
+      if (!eventSourceRef.current) {
+        startProgressTracking();
+      }
+    } catch (error) {
+      console.error('Failed to resume upload:', error);
+      onError('Failed to resume upload');
+    }
+  };
+
+  const handleRetry = async () => {
+    try {
+      setRetrying(true);
+      const result = await retryUpload(sessionId);
+      setProgress(prev => ({
+        ...prev,
+        failed: 0,
+        percentage: ((prev.completed + prev.skipped) / prev.total) * 100,
+        status: 'uploading'
+      }));
+      setFailedFiles([]);
+      addLog(`Retrying ${result.retryCount} failed files`, 'info');
+      if (!eventSourceRef.current) {
+        startProgressTracking();
+      }
+    } catch (error) {
+      console.error('Failed to retry upload:', error);
+      onError('Failed to retry upload');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   const getStatusColor = () => {
     switch (progress.status) {
       case 'completed': return '#10b981';
       case 'uploading': return '#3b82f6';
       case 'rate_limited': return '#f59e0b';
+      case 'interrupted': return '#f59e0b';
       case 'failed': return '#ef4444';
       default: return '#6b7280';
     }
@@ -187,6 +306,7 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
       case 'completed': return 'Upload Complete';
       case 'uploading': return 'Uploading Files';
       case 'rate_limited': return 'Rate Limited - Paused';
+      case 'interrupted': return 'Interrupted';
       case 'failed': return 'Upload Failed';
       default: return 'Preparing Upload';
     }
@@ -237,6 +357,11 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
           <div className="stat-label">Failed</div>
         </div>
         
+        <div className="stat-card">
+          <div className="stat-value">{progress.skipped}</div>
+          <div className="stat-label">Unchanged</div>
+        </div>
+        
         <div className="stat-card">
           <div className="stat-value">{progress.total}</div>
           <div className="stat-label">Total</div>
@@ -258,6 +383,15 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
         ></div>
       </div>
       
+      {pullRequest && (
+        <div className="pull-request-link">
+          <strong>Pull request opened:</strong>{' '}
+          <a href={pullRequest.url} target="_blank" rel="noopener noreferrer">
+            #{pullRequest.number} ({pullRequest.head} → {pullRequest.base})
+          </a>
+        </div>
+      )}
+      
       {progress.currentFile && (
         <div className="current-file">
           <div className="current-file-label">Current File:</div>
@@ -266,9 +400,28 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
       )}
       
       <div className="progress-actions">
+        {progress.status === 'failed' && failedFiles.length > 0 && (
+          <button
+            onClick={handleRetry}
+            disabled={retrying}
+            className="retry-button"
+          >
+            {retrying ? 'Retrying...' : `Retry failed (${failedFiles.length})`}
+          </button>
+        )}
+        
+        {progress.status === 'interrupted' && (
+          <button
+            onClick={handleResume}
+            className="retry-button"
+          >
+            Resume Upload
+          </button>
+        )}
+        
         <button
           onClick={handleCancel}
-          disabled={cancelling || progress.status === 'completed'}
+          disabled={cancelling || progress.status === 'completed' || progress.status === 'cancelled'}
           className="cancel-button"
         >
           {cancelling ? 'Cancelling...' : 'Cancel Upload'}
@@ -308,10 +461,18 @@ function ProgressBar({ sessionId, fileCount, onComplete, onError }) {
               <span className="detail-label">Queue Size:</span>
               <span className="detail-value">{uploadStats.queue?.queueSize || 0}</span>
             </div>
+            <div className="detail-item">
+              <span className="detail-label">Waiting (this session):</span>
+              <span className="detail-value">{uploadStats.queue?.installation?.sessions?.[sessionId] || 0}</span>
+            </div>
             <div className="detail-item">
               <span className="detail-label">Active Jobs:</span>
               <span className="detail-value">{uploadStats.queue?.activeJobs || 0}</span>
             </div>
+            <div className="detail-item">
+              <span className="detail-label">Retries:</span>
+              <span className="detail-value">{uploadStats.queue?.retriedJobs || 0}</span>
+            </div>
             <div className="detail-item">
               <span className="detail-label">Rate Limit Hits:</span>
               <span className="detail-value">{uploadStats.queue?.rateLimitHits || 0}</span>
@@ -1,66 +1,421 @@
-import React, { useState, useEffect } from 'react';
-import { getBranches } from '../services/api';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { VariableSizeList, FixedSizeList } from 'react-window';
+import { getRepositories, getBranches, searchBranches } from '../services/api';
 
-function RepoSelector({ repositories, selectedRepo, selectedBranch, onRepoSelect, onBranchSelect }) {
+// Why the app can't commit directly to a repository or branch, by the
+// reason codes the repos API reports
+const ACCESS_REASONS = {
+  'read-only': 'The app only has read access to this repository',
+  'archived': 'The repository is archived',
+  'pull-requests-denied': 'The app may not open pull requests here',
+  'locked': 'The branch is locked',
+  'push-restricted': 'Only selected people, teams and apps may push to this branch',
+  'pull-request-required': 'Changes must go through a pull request',
+  'status-checks-required': 'Commits need passing status checks first',
+  'rules-unknown': 'The branch is protected and the app cannot read its rules'
+};
+
+// Row heights the virtualized lists lay out with; each includes the gap
+// below the row
+const ROW_HEIGHTS = {
+  owner: 48,
+  repo: 74,
+  loading: 40
+};
+const BRANCH_ROW_HEIGHT = 52;
+const REPO_LIST_HEIGHT = 400;
+const BRANCH_LIST_HEIGHT = 200;
+
+// The next page is requested once this many rows are left below the view
+const LOAD_AHEAD = 5;
+
+const SEARCH_DELAY = 300;
+
+export function describeAccess(access) {
+  return (access?.reasons || []).map(reason => ACCESS_REASONS[reason] || reason).join('. ');
+}
+
+// Repositories and branches listed before access was reported stay usable
+function canUploadTo(repo) {
+  return !repo.access || repo.access.write;
+}
+
+function canTarget(branch) {
+  return !branch.access || branch.access.direct_push || branch.access.pull_request;
+}
+
+// The value once it has stopped changing for `delay` ms, so typing in a
+// search box sends one request rather than one per key
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+function RepoRow({ index, style, data }) {
+  const row = data.rows[index];
+
+  if (row.type === 'owner') {
+    return (
+      <div style={style} className="virtual-row">
+        <div className="owner-header">
+          <span className="owner-avatar">
+            {row.owner.charAt(0).toUpperCase()}
+          </span>
+          <span className="owner-name">{row.owner}</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (row.type === 'loading') {
+    return (
+      <div style={style} className="virtual-row loading-more">
+        <div className="spinner small"></div>
+        <span>Loading more repositories...</span>
+      </div>
+    );
+  }
+
+  const { repo } = row;
+  const selected = data.selectedRepo?.id === repo.id;
+
+  return (
+    <div style={style} className="virtual-row">
+      <div
+        className={`repo-item ${selected ? 'selected' : ''} ${canUploadTo(repo) ? '' : 'disabled'}`}
+        onClick={() => data.onRepoClick(repo)}
+        title={canUploadTo(repo) ? undefined : describeAccess(repo.access)}
+      >
+        <div className="repo-icon">
+          {repo.private ? '🔒' : '📂'}
+        </div>
+
+        <div className="repo-info">
+          <div className="repo-name">
+            {/* Without owner headers, say whose repository it is */}
+            {data.grouped ? repo.name : repo.full_name}
+            {repo.private && <span className="private-badge">Private</span>}
+            {!canUploadTo(repo) && <span className="read-only-badge">Read only</span>}
+          </div>
+
+          <div className="repo-meta">
+            <span className="repo-branch">
+              Default: {repo.default_branch}
+            </span>
+            <span className="repo-updated">
+              Updated: {new Date(repo.updated_at).toLocaleDateString()}
+            </span>
+          </div>
+        </div>
+
+        {selected && (
+          <div className="selected-indicator">✓</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BranchRow({ index, style, data }) {
+  const branch = data.branches[index];
+  const selected = data.selectedBranch === branch.name;
+
+  return (
+    <div style={style} className="virtual-row">
+      <div
+        className={`branch-item ${selected ? 'selected' : ''} ${canTarget(branch) ? '' : 'disabled'}`}
+        onClick={() => data.onBranchClick(branch)}
+        title={describeAccess(branch.access) || undefined}
+      >
+        <span className="branch-name">
+          {branch.name}
+          {branch.protected && <span className="protected-badge">Protected</span>}
+          {branch.access && !canTarget(branch) && (
+            <span className="read-only-badge">No uploads</span>
+          )}
+          {branch.access && canTarget(branch) && !branch.access.direct_push && (
+            <span className="pr-only-badge">Pull request only</span>
+          )}
+        </span>
+
+        {selected && (
+          <span className="selected-indicator">→</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RepoSelector({ selectedRepo, selectedBranch, onRepoSelect, onBranchSelect, onAddInstallation, refreshKey = 0 }) {
   const [filter, setFilter] = useState('');
+  const [sort, setSort] = useState('updated');
+  const [visibility, setVisibility] = useState('all');
+  const [installationFilter, setInstallationFilter] = useState('all');
+  const [installations, setInstallations] = useState([]);
+  const [repos, setRepos] = useState([]);
+  const [reposCursor, setReposCursor] = useState(null);
+  const [reposTotal, setReposTotal] = useState(0);
+  const [loadingRepos, setLoadingRepos] = useState(false);
+  const [reposError, setReposError] = useState(null);
+
   const [branches, setBranches] = useState([]);
+  const [branchesCursor, setBranchesCursor] = useState(null);
+  const [branchesTotal, setBranchesTotal] = useState(0);
   const [loadingBranches, setLoadingBranches] = useState(false);
-  const [groupedRepos, setGroupedRepos] = useState({});
+  const [branchFilter, setBranchFilter] = useState('');
+  const [branchMatches, setBranchMatches] = useState(null);
+
+  const search = useDebouncedValue(filter.trim(), SEARCH_DELAY);
+  const branchSearch = useDebouncedValue(branchFilter.trim(), SEARCH_DELAY);
+
+  // Responses to requests made for an earlier query are dropped
+  const reposRequest = useRef(0);
+  const branchesRequest = useRef(0);
+  const repoListRef = useRef(null);
+  const lastRefreshKey = useRef(refreshKey);
+
+  const loadRepos = async ({ cursor = null, refresh = false } = {}) => {
+    const request = ++reposRequest.current;
+
+    try {
+      setLoadingRepos(true);
+      setReposError(null);
+      const page = await getRepositories({
+        q: search || undefined,
+        sort,
+        visibility,
+        installationId: installationFilter === 'all' ? undefined : installationFilter,
+        cursor: cursor || undefined,
+        refresh: refresh || undefined
+      });
+
+      if (request !== reposRequest.current) {
+        return;
+      }
+
+      setRepos(previous => cursor ? [...previous, ...page.repositories] : page.repositories);
+      setReposCursor(page.nextCursor);
+      setReposTotal(page.total);
+      // Only the unfiltered listing names every installation of the session
+      if (installationFilter === 'all') {
+        setInstallations(page.installations || []);
+      }
+    } catch (error) {
+      if (request === reposRequest.current) {
+        console.error('Failed to load repositories:', error);
+        setReposError(error.message || 'Failed to load repositories');
+      }
+    } finally {
+      if (request === reposRequest.current) {
+        setLoadingRepos(false);
+      }
+    }
+  };
 
+  // A new query starts again from the first page
   useEffect(() => {
+    const refresh = lastRefreshKey.current !== refreshKey;
+    lastRefreshKey.current = refreshKey;
+    loadRepos({ refresh });
+  }, [search, sort, visibility, installationFilter, refreshKey]);
+
+  useEffect(() => {
+    setBranchFilter('');
+    setBranchMatches(null);
     if (selectedRepo) {
       loadBranches(selectedRepo);
     } else {
       setBranches([]);
     }
-  }, [selectedRepo]);
+  }, [selectedRepo, refreshKey]);
 
   useEffect(() => {
-    // Group repositories by owner
-    const grouped = repositories.reduce((groups, repo) => {
-      const owner = repo.owner;
-      if (!groups[owner]) {
-        groups[owner] = [];
+    if (!selectedRepo || !branchSearch) {
+      setBranchMatches(null);
+      return;
+    }
+    findBranches(selectedRepo, branchSearch);
+  }, [branchSearch]);
+
+  // Sorted by name the list comes grouped by owner, so each group gets a
+  // header; sorted by update time owners are mixed and named on each row
+  const grouped = sort === 'name';
+  const rows = useMemo(() => {
+    const result = [];
+    repos.forEach((repo, index) => {
+      if (grouped && repo.owner !== repos[index - 1]?.owner) {
+        result.push({ type: 'owner', key: `owner-${repo.owner}`, owner: repo.owner });
       }
-      groups[owner].push(repo);
-      return groups;
-    }, {});
-    
-    setGroupedRepos(grouped);
-  }, [repositories]);
+      result.push({ type: 'repo', key: repo.id, repo });
+    });
+    if (loadingRepos && repos.length > 0) {
+      result.push({ type: 'loading', key: 'loading' });
+    }
+    return result;
+  }, [repos, grouped, loadingRepos]);
+
+  // Row heights are cached by index, and headers shift the indexes
+  useEffect(() => {
+    repoListRef.current?.resetAfterIndex(0);
+  }, [rows]);
 
   const loadBranches = async (repo) => {
+    const request = ++branchesRequest.current;
+
     try {
       setLoadingBranches(true);
       const [owner, repoName] = repo.full_name.split('/');
-      const branchList = await getBranches(owner, repoName);
-      setBranches(branchList);
-      
-      // Set default branch if not already selected
-      if (!selectedBranch && branchList.length > 0) {
-        const defaultBranch = branchList.find(b => b.name === repo.default_branch) || branchList[0];
-        onBranchSelect(defaultBranch.name);
+      const page = await getBranches(owner, repoName, repo.installation_id);
+
+      if (request !== branchesRequest.current) {
+        return;
+      }
+
+      setBranches(page.branches);
+      setBranchesCursor(page.nextCursor);
+      setBranchesTotal(page.total);
+
+      // Report the selected branch (or the default one, which the API lists
+      // first) with its access, so an upload is steered to a pull request
+      // before it starts; a branch nothing can land on gives way to the
+      // first one that can take changes
+      const current = page.branches.find(b => b.name === (selectedBranch || repo.default_branch)) || page.branches[0];
+      const target = current && !canTarget(current) ? page.branches.find(canTarget) : current;
+      if (target) {
+        onBranchSelect(target.name, target);
       }
     } catch (error) {
       console.error('Failed to load branches:', error);
       setBranches([]);
     } finally {
-      setLoadingBranches(false);
+      if (request === branchesRequest.current) {
+        setLoadingBranches(false);
+      }
     }
   };
 
-  const filteredRepos = repositories.filter(repo => 
-    repo.name.toLowerCase().includes(filter.toLowerCase()) ||
-    repo.owner.toLowerCase().includes(filter.toLowerCase()) ||
-    repo.full_name.toLowerCase().includes(filter.toLowerCase())
-  );
+  const loadMoreBranches = async () => {
+    if (!branchesCursor || loadingBranches) {
+      return;
+    }
+    const request = branchesRequest.current;
+    const [owner, repoName] = selectedRepo.full_name.split('/');
 
-  const handleRepoClick = (repo) => {
+    try {
+      setLoadingBranches(true);
+      const page = await getBranches(owner, repoName, selectedRepo.installation_id, { cursor: branchesCursor });
+
+      if (request === branchesRequest.current) {
+        setBranches(previous => [...previous, ...page.branches]);
+        setBranchesCursor(page.nextCursor);
+      }
+    } catch (error) {
+      console.error('Failed to load more branches:', error);
+    } finally {
+      if (request === branchesRequest.current) {
+        setLoadingBranches(false);
+      }
+    }
+  };
+
+  const findBranches = async (repo, query) => {
+    const request = ++branchesRequest.current;
+    const [owner, repoName] = repo.full_name.split('/');
+
+    try {
+      setLoadingBranches(true);
+      const result = await searchBranches(owner, repoName, repo.installation_id, query);
+      if (request === branchesRequest.current) {
+        setBranchMatches(result.branches);
+      }
+    } catch (error) {
+      console.error('Failed to search branches:', error);
+      if (request === branchesRequest.current) {
+        setBranchMatches([]);
+      }
+    } finally {
+      if (request === branchesRequest.current) {
+        setLoadingBranches(false);
+      }
+    }
+  };
+
+  const handleRepoClick = useCallback((repo) => {
+    if (!canUploadTo(repo)) {
+      return;
+    }
     onRepoSelect(repo);
+  }, [onRepoSelect]);
+
+  const handleBranchClick = useCallback((branch) => {
+    if (!canTarget(branch)) {
+      return;
+    }
+    onBranchSelect(branch.name, branch);
+  }, [onBranchSelect]);
+
+  const handleReposRendered = ({ visibleStopIndex }) => {
+    if (reposCursor && !loadingRepos && visibleStopIndex >= rows.length - LOAD_AHEAD) {
+      loadRepos({ cursor: reposCursor });
+    }
+  };
+
+  const handleBranchesRendered = ({ visibleStopIndex }) => {
+    if (!branchMatches && visibleStopIndex >= branches.length - LOAD_AHEAD) {
+      loadMoreBranches();
+    }
+  };
+
+  const clearFilters = () => {
+    setFilter('');
+    setVisibility('all');
+    setInstallationFilter('all');
   };
 
+  const filtered = Boolean(search) || visibility !== 'all' || installationFilter !== 'all';
+  const repoListHeight = Math.min(
+    REPO_LIST_HEIGHT,
+    rows.reduce((height, row) => height + ROW_HEIGHTS[row.type], 0)
+  );
+  const shownBranches = branchMatches || branches;
+
   return (
     <div className="repo-selector">
+      {(installations.length > 1 || onAddInstallation) && (
+        <div className="installation-switcher">
+          {installations.length > 1 && (
+            <>
+              <button
+                className={installationFilter === 'all' ? 'active' : ''}
+                onClick={() => setInstallationFilter('all')}
+              >
+                All accounts
+              </button>
+              {installations.map(installation => (
+                <button
+                  key={installation.id}
+                  className={installationFilter === installation.id ? 'active' : ''}
+                  onClick={() => setInstallationFilter(installation.id)}
+                >
+                  {installation.account}
+                </button>
+              ))}
+            </>
+          )}
+          {onAddInstallation && (
+            <button onClick={onAddInstallation} className="add-installation">
+              + Add account
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="repo-search">
         <input
           type="text"
@@ -70,114 +425,135 @@ function RepoSelector({ repositories, selectedRepo, selectedBranch, onRepoSelect
           className="search-input"
         />
         <span className="search-count">
-          {filteredRepos.length} of {repositories.length} repos
+          {repos.length} of {reposTotal} repos
         </span>
       </div>
 
+      <div className="repo-list-options">
+        <label>
+          Sort:
+          <select value={sort} onChange={(e) => setSort(e.target.value)}>
+            <option value="updated">Recently updated</option>
+            <option value="name">Name</option>
+          </select>
+        </label>
+        <label>
+          Show:
+          <select value={visibility} onChange={(e) => setVisibility(e.target.value)}>
+            <option value="all">All</option>
+            <option value="public">Public</option>
+            <option value="private">Private</option>
+          </select>
+        </label>
+      </div>
+
       <div className="repo-list-container">
-        {Object.entries(groupedRepos).map(([owner, ownerRepos]) => {
-          const filteredOwnerRepos = ownerRepos.filter(repo => 
-            filteredRepos.some(r => r.id === repo.id)
-          );
-
-          if (filteredOwnerRepos.length === 0) return null;
-
-          return (
-            <div key={owner} className="owner-group">
-              <div className="owner-header">
-                <span className="owner-avatar">
-                  {owner.charAt(0).toUpperCase()}
-                </span>
-                <span className="owner-name">{owner}</span>
-                <span className="owner-count">({filteredOwnerRepos.length})</span>
-              </div>
-              
-              <div className="repo-list">
-                {filteredOwnerRepos.map(repo => (
-                  <div
-                    key={repo.id}
-                    className={`repo-item ${selectedRepo?.id === repo.id ? 'selected' : ''}`}
-                    onClick={() => handleRepoClick(repo)}
-                  >
-                    <div className="repo-icon">
-                      {repo.private ? '🔒' : '📂'}
-                    </div>
-                    
-                    <div className="repo-info">
-                      <div className="repo-name">
-                        {repo.name}
-                        {repo.private && <span className="private-badge">Private</span>}
-                      </div>
-                      
-                      <div className="repo-meta">
-                        <span className="repo-branch">
-                          Default: {repo.default_branch}
-                        </span>
-                        <span className="repo-updated">
-                          Updated: {new Date(repo.updated_at).toLocaleDateString()}
-                        </span>
-                      </div>
-                    </div>
-                    
-                    {selectedRepo?.id === repo.id && (
-                      <div className="selected-indicator">✓</div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            </div>
-          );
-        })}
+        {rows.length > 0 && (
+          <VariableSizeList
+            ref={repoListRef}
+            height={repoListHeight}
+            width="100%"
+            itemCount={rows.length}
+            itemSize={index => ROW_HEIGHTS[rows[index].type]}
+            itemKey={index => rows[index].key}
+            itemData={{ rows, grouped, selectedRepo, onRepoClick: handleRepoClick }}
+            onItemsRendered={handleReposRendered}
+          >
+            {RepoRow}
+          </VariableSizeList>
+        )}
 
-        {filteredRepos.length === 0 && (
+        {loadingRepos && repos.length === 0 && (
+          <div className="loading-branches">
+            <div className="spinner small"></div>
+            <span>Loading repositories...</span>
+          </div>
+        )}
+
+        {reposError && (
           <div className="no-results">
-            <p>No repositories found matching "{filter}"</p>
-            <button 
-              onClick={() => setFilter('')}
-              className="clear-filter"
-            >
+            <p>{reposError}</p>
+            <button onClick={() => loadRepos({ refresh: true })} className="clear-filter">
+              Try again
+            </button>
+          </div>
+        )}
+
+        {!loadingRepos && !reposError && repos.length === 0 && filtered && (
+          <div className="no-results">
+            <p>
+              No {visibility === 'all' ? '' : `${visibility} `}repositories found
+              {search && ` matching "${search}"`}
+            </p>
+            <button onClick={clearFilters} className="clear-filter">
               Clear search
             </button>
           </div>
         )}
+
+        {!loadingRepos && !reposError && repos.length === 0 && !filtered && (
+          <div className="empty-state">
+            <div className="empty-icon">🏗️</div>
+            <h3>No Repositories Found</h3>
+            <p>
+              The GitHub App doesn't have access to any repositories yet.
+              Make sure the app is installed on an account or organization with repositories.
+            </p>
+            <button
+              onClick={() => loadRepos({ refresh: true })}
+              className="retry-button"
+            >
+              Check Again
+            </button>
+          </div>
+        )}
       </div>
 
       {selectedRepo && (
         <div className="branch-selector">
           <h4>Select Branch</h4>
-          
-          {loadingBranches ? (
+
+          {branchesTotal > 10 && (
+            <input
+              type="text"
+              placeholder={`Search ${branchesTotal} branches...`}
+              value={branchFilter}
+              onChange={(e) => setBranchFilter(e.target.value)}
+              className="search-input branch-search"
+            />
+          )}
+
+          {loadingBranches && shownBranches.length === 0 ? (
             <div className="loading-branches">
               <div className="spinner small"></div>
               <span>Loading branches...</span>
             </div>
           ) : (
             <div className="branch-list">
-              {branches.map(branch => (
-                <div
-                  key={branch.name}
-                  className={`branch-item ${selectedBranch === branch.name ? 'selected' : ''}`}
-                  onClick={() => onBranchSelect(branch.name)}
+              {shownBranches.length > 0 && (
+                <FixedSizeList
+                  height={Math.min(BRANCH_LIST_HEIGHT, shownBranches.length * BRANCH_ROW_HEIGHT)}
+                  width="100%"
+                  itemCount={shownBranches.length}
+                  itemSize={BRANCH_ROW_HEIGHT}
+                  itemKey={index => shownBranches[index].name}
+                  itemData={{ branches: shownBranches, selectedBranch, onBranchClick: handleBranchClick }}
+                  onItemsRendered={handleBranchesRendered}
                 >
-                  <span className="branch-name">
-                    {branch.name}
-                    {branch.protected && <span className="protected-badge">Protected</span>}
-                  </span>
-                  
-                  {selectedBranch === branch.name && (
-                    <span className="selected-indicator">→</span>
-                  )}
-                </div>
-              ))}
-              
-              {branches.length === 0 && (
+                  {BranchRow}
+                </FixedSizeList>
+              )}
+
+              {shownBranches.length === 0 && (
                 <div className="no-branches">
-                  No branches found or access denied
+                  {branchMatches
+                    ? `No branches matching "${branchSearch}"`
+                    : 'No branches found or access denied'}
                 </div>
               )}
             </div>
           )}
-          
+
           <div className="selected-repo-info">
             <strong>Selected:</strong> {selectedRepo.full_name}
             {selectedBranch && ` → ${selectedBranch}`}
@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+
+const REASON_LABELS = {
+  'blocked-extension': 'Blocked file type',
+  'policy-rule': 'Excluded by upload policy',
+  'reserved-name': 'Reserved name',
+  'path-too-long': 'Path too long',
+  'traversal': 'Outside the target directory',
+  'invalid-characters': 'Invalid characters in path',
+  'symlink': 'Symbolic link',
+  'special-file': 'Not a regular file',
+  'excluded': 'Excluded before upload (.gitignore)'
+};
+
+// Files of the upload that will not be committed, grouped by why
+function SkippedFiles({ skipped }) {
+  const groups = useMemo(() => {
+    return skipped.reduce((byReason, entry) => {
+      (byReason[entry.reason] = byReason[entry.reason] || []).push(entry);
+      return byReason;
+    }, {});
+  }, [skipped]);
+
+  if (skipped.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="skipped-files">
+      <h4>
+        ⚠️ {skipped.length} file{skipped.length === 1 ? '' : 's'} will not be uploaded
+      </h4>
+
+      {Object.entries(groups).map(([reason, entries]) => (
+        <details key={reason} className="skipped-group">
+          <summary>
+            {REASON_LABELS[reason] || reason} ({entries.length})
+          </summary>
+          <ul>
+            {entries.map(entry => (
+              <li key={entry.path}>
+                <span className="skipped-path">{entry.path}</span>
+                {entry.detail && <span className="skipped-detail">{entry.detail}</span>}
+              </li>
+            ))}
+          </ul>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default SkippedFiles;
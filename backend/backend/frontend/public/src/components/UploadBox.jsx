@@ -1,17 +1,43 @@
 import React, { useCallback, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
+import { zipFolder, DEFAULT_EXCLUSIONS } from '../utils/folderZip';
 
-function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles = ['.zip'], disabled = false }) {
+// Mimetype each extension is offered under in the file picker; the server
+// detects the real format from the file's content
+const ARCHIVE_TYPES = {
+  '.zip': 'application/zip',
+  '.tar': 'application/x-tar',
+  '.tar.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar.bz2': 'application/x-bzip2',
+  '.tbz2': 'application/x-bzip2'
+};
+
+const DEFAULT_EXTENSIONS = Object.keys(ARCHIVE_TYPES);
+
+// Path of a file inside the dropped or picked folder. Drops carry it in
+// `path` (with a leading "/" or "./"), the folder picker in webkitRelativePath.
+function getRelativePath(file) {
+  return (file.webkitRelativePath || file.path || file.name).replace(/^\.?\/+/, '');
+}
+
+function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles = DEFAULT_EXTENSIONS, disabled = false }) {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [folderMode, setFolderMode] = useState(false);
+  const [compressFolder, setCompressFolder] = useState(true);
+  const [exclusions, setExclusions] = useState('');
+  const [zipProgress, setZipProgress] = useState(null);
 
-  const onDrop = useCallback(async (acceptedFiles, rejectedFiles) => {
+  const onDrop = useCallback(async (droppedFiles, rejectedFiles) => {
     setError(null);
 
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors[0].code === 'file-too-large') {
         setError(`File too large. Maximum size is ${maxSize / 1024 / 1024}MB`);
+      } else if (rejection.errors[0].code === 'too-many-files') {
+        setError('Too many files in this folder.');
       } else if (rejection.errors[0].code === 'file-invalid-type') {
         setError(`Invalid file type. Only ${acceptedFiles.join(', ')} files are allowed.`);
       } else {
@@ -20,7 +46,7 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
       return;
     }
 
-    if (acceptedFiles.length === 0) {
+    if (droppedFiles.length === 0) {
       setError('No valid files selected');
       return;
     }
@@ -28,9 +54,41 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
     setUploading(true);
 
     try {
-      // For ZIP files, we can pass them directly
-      // For folders, we'd need to create a ZIP first
-      const file = acceptedFiles[0];
+      // Folders are zipped here and sent as an archive, which spares the
+      // server one request part per file
+      if (folderMode && compressFolder) {
+        setZipProgress({ percent: 0, currentFile: null });
+
+        const { file, excluded } = await zipFolder(droppedFiles, droppedFiles.map(getRelativePath), {
+          exclusions: exclusions.split('\n').map(line => line.trim()).filter(Boolean),
+          onProgress: setZipProgress
+        });
+
+        if (file.size > maxSize) {
+          throw new Error(`Compressed folder (${(file.size / 1024 / 1024).toFixed(2)}MB) exceeds limit of ${maxSize / 1024 / 1024}MB`);
+        }
+
+        // Listed with the preview, since this box is gone by then
+        onFilesSelected([file], { excluded });
+        return;
+      }
+
+      // Otherwise they are sent file by file with their relative paths
+      if (folderMode) {
+        const totalSize = droppedFiles.reduce((sum, file) => sum + file.size, 0);
+        if (totalSize > maxSize) {
+          throw new Error(`Folder size (${(totalSize / 1024 / 1024).toFixed(2)}MB) exceeds limit of ${maxSize / 1024 / 1024}MB`);
+        }
+
+        onFilesSelected(droppedFiles, {
+          folder: true,
+          paths: droppedFiles.map(getRelativePath)
+        });
+        return;
+      }
+
+      // Archives are passed on as they are
+      const file = droppedFiles[0];
       
       // Validate file size
       if (file.size > maxSize) {
@@ -38,33 +96,86 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
       }
 
       // Validate file type
-      if (!file.name.endsWith('.zip') && !acceptedFiles.includes('.zip')) {
-        throw new Error('Only ZIP files are supported for folder uploads');
+      const name = file.name.toLowerCase();
+      if (!acceptedFiles.some(ext => name.endsWith(ext))) {
+        throw new Error(`Only ${acceptedFiles.join(', ')} archives are supported for folder uploads`);
       }
 
       // Prepare file for upload
-      onFilesSelected(acceptedFiles);
+      onFilesSelected(droppedFiles);
 
     } catch (err) {
       setError(err.message);
     } finally {
       setUploading(false);
+      setZipProgress(null);
     }
-  }, [onFilesSelected, maxSize, acceptedFiles]);
+  }, [onFilesSelected, maxSize, acceptedFiles, folderMode, compressFolder, exclusions]);
 
   const { getRootProps, getInputProps, isDragActive, isDragReject } = useDropzone({
     onDrop,
     maxSize,
-    accept: {
-      'application/zip': acceptedFiles.includes('.zip') ? ['.zip'] : [],
-      'application/x-zip-compressed': acceptedFiles.includes('.zip') ? ['.zip'] : []
-    },
-    multiple: false,
+    // Any file may be part of a folder; the server applies its own rules
+    accept: folderMode ? undefined : acceptedFiles.reduce((accept, ext) => {
+      const type = ARCHIVE_TYPES[ext] || 'application/octet-stream';
+      accept[type] = [...(accept[type] || []), ext];
+      return accept;
+    }, {}),
+    multiple: folderMode,
     disabled: disabled || uploading
   });
 
   return (
     <div className="upload-box">
+      <div className="upload-mode">
+        <button
+          type="button"
+          className={!folderMode ? 'active' : ''}
+          onClick={() => setFolderMode(false)}
+          disabled={uploading}
+        >
+          Archive
+        </button>
+        <button
+          type="button"
+          className={folderMode ? 'active' : ''}
+          onClick={() => setFolderMode(true)}
+          disabled={uploading}
+        >
+          Folder
+        </button>
+      </div>
+
+      {folderMode && (
+        <div className="folder-options">
+          <label className="folder-option">
+            <input
+              type="checkbox"
+              checked={compressFolder}
+              onChange={(e) => setCompressFolder(e.target.checked)}
+              disabled={uploading}
+            />
+            Compress in the browser before uploading
+          </label>
+
+          {compressFolder && (
+            <label className="folder-exclusions">
+              <span>Exclude (one .gitignore pattern per line)</span>
+              <textarea
+                rows={3}
+                value={exclusions}
+                onChange={(e) => setExclusions(e.target.value)}
+                placeholder={'dist/\n*.log'}
+                disabled={uploading}
+              />
+              <small>
+                Always excluded: {DEFAULT_EXCLUSIONS.join(', ')}. The folder's own .gitignore files are applied too.
+              </small>
+            </label>
+          )}
+        </div>
+      )}
+
       <div
         {...getRootProps()}
         className={`
@@ -75,12 +186,25 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
           ${uploading ? 'uploading' : ''}
         `}
       >
-        <input {...getInputProps()} />
+        {/* webkitdirectory makes the file picker select a whole folder */}
+        <input {...getInputProps()} {...(folderMode && { webkitdirectory: '', directory: '' })} />
         
         {uploading ? (
           <div className="uploading-state">
             <div className="spinner"></div>
-            <p>Processing file...</p>
+            {zipProgress ? (
+              <>
+                <p>Compressing folder... {Math.round(zipProgress.percent)}%</p>
+                <div className="zip-progress">
+                  <div className="zip-progress-fill" style={{ width: `${zipProgress.percent}%` }}></div>
+                </div>
+                {zipProgress.currentFile && (
+                  <p className="zip-progress-file">{zipProgress.currentFile}</p>
+                )}
+              </>
+            ) : (
+              <p>{folderMode ? 'Reading folder...' : 'Processing file...'}</p>
+            )}
           </div>
         ) : (
           <div className="dropzone-content">
@@ -90,11 +214,15 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
             
             <div className="dropzone-text">
               {isDragActive ? (
-                <p className="dropzone-title">Drop the file here...</p>
+                <p className="dropzone-title">
+                  {folderMode ? 'Drop the folder here...' : 'Drop the file here...'}
+                </p>
               ) : (
                 <>
                   <p className="dropzone-title">
-                    {disabled ? 'Select a repository first' : 'Drag & drop your ZIP file here'}
+                    {disabled
+                      ? 'Select a repository first'
+                      : folderMode ? 'Drag & drop your folder here' : 'Drag & drop your archive here'}
                   </p>
                   <p className="dropzone-subtitle">
                     or click to browse
@@ -104,7 +232,7 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
               
               <div className="dropzone-info">
                 <p className="file-types">
-                  <strong>Supported:</strong> ZIP archives only
+                  <strong>Supported:</strong> {folderMode ? 'any folder' : acceptedFiles.join(', ')}
                 </p>
                 <p className="file-size">
                   <strong>Max size:</strong> {maxSize / 1024 / 1024}MB
@@ -125,8 +253,8 @@ function UploadBox({ onFilesSelected, maxSize = 100 * 1024 * 1024, acceptedFiles
       <div className="upload-tips">
         <h4>Tips for successful uploads:</h4>
         <ul>
-          <li>Create a ZIP file of your folder before uploading</li>
-          <li>Make sure the ZIP file is not password protected</li>
+          <li>Drop a folder as it is, or upload it as an archive</li>
+          <li>Make sure archives are not password protected</li>
           <li>Check that all file paths are valid (no special characters)</li>
           <li>Large uploads may take several minutes to process</li>
         </ul>
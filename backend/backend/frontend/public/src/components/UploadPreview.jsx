@@ -0,0 +1,239 @@
+import React, { useState, useMemo } from 'react';
+
+const STATUS_LABELS = {
+  added: 'Added',
+  modified: 'Modified',
+  unchanged: 'Unchanged',
+  deleted: 'Deleted',
+  skipped: 'Skipped'
+};
+
+function buildTree(entries) {
+  const root = { name: '', path: '', children: {}, entries: [] };
+
+  entries.forEach(entry => {
+    const parts = entry.path.split('/');
+    let node = root;
+
+    parts.slice(0, -1).forEach((part, index) => {
+      if (!node.children[part]) {
+        node.children[part] = {
+          name: part,
+          path: parts.slice(0, index + 1).join('/'),
+          children: {},
+          entries: []
+        };
+      }
+      node = node.children[part];
+    });
+
+    node.entries.push({ ...entry, name: parts[parts.length - 1] });
+  });
+
+  return root;
+}
+
+function collectPaths(node) {
+  return [
+    ...node.entries.filter(entry => entry.status !== 'skipped').map(entry => entry.path),
+    ...Object.values(node.children).flatMap(collectPaths)
+  ];
+}
+
+function TreeNode({ node, selected, expandedDiffs, onToggle, onToggleDiff, depth = 0 }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const paths = useMemo(() => collectPaths(node), [node]);
+  const selectedCount = paths.filter(path => selected.has(path)).length;
+
+  return (
+    <div className="preview-node">
+      {node.name && (
+        <div className="preview-row preview-directory" style={{ paddingLeft: `${depth}rem` }}>
+          <input
+            type="checkbox"
+            checked={paths.length > 0 && selectedCount === paths.length}
+            ref={el => {
+              if (el) el.indeterminate = selectedCount > 0 && selectedCount < paths.length;
+            }}
+            disabled={paths.length === 0}
+            onChange={(e) => onToggle(paths, e.target.checked)}
+          />
+          <span className="preview-toggle" onClick={() => setCollapsed(!collapsed)}>
+            {collapsed ? '▸' : '▾'} 📁 {node.name}
+          </span>
+        </div>
+      )}
+
+      {!collapsed && (
+        <>
+          {Object.values(node.children)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(child => (
+              <TreeNode
+                key={child.path}
+                node={child}
+                selected={selected}
+                expandedDiffs={expandedDiffs}
+                onToggle={onToggle}
+                onToggleDiff={onToggleDiff}
+                depth={node.name ? depth + 1 : depth}
+              />
+            ))}
+
+          {[...node.entries]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(entry => (
+              <div key={entry.path}>
+                <div
+                  className={`preview-row preview-file status-${entry.status}`}
+                  style={{ paddingLeft: `${node.name ? depth + 1 : depth}rem` }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.has(entry.path)}
+                    disabled={entry.status === 'skipped'}
+                    onChange={(e) => onToggle([entry.path], e.target.checked)}
+                  />
+                  <span className="preview-name">{entry.name}</span>
+                  <span className={`preview-status status-${entry.status}`}>
+                    {STATUS_LABELS[entry.status]}
+                  </span>
+                  {entry.reason && <span className="preview-reason" title={entry.detail}>{entry.reason}</span>}
+                  {entry.binary && <span className="preview-reason">binary</span>}
+                  {entry.diffOmitted && <span className="preview-reason">{entry.diffOmitted}</span>}
+                  {entry.diff && (
+                    <button
+                      onClick={() => onToggleDiff(entry.path)}
+                      className="diff-toggle"
+                    >
+                      {expandedDiffs.has(entry.path) ? 'Hide diff' : 'Show diff'}
+                    </button>
+                  )}
+                </div>
+
+                {entry.diff && expandedDiffs.has(entry.path) && (
+                  <pre className="preview-diff">
+                    {entry.diff.split('\n').map((line, index) => (
+                      <div
+                        key={index}
+                        className={
+                          line.startsWith('+') && !line.startsWith('+++') ? 'diff-added' :
+                          line.startsWith('-') && !line.startsWith('---') ? 'diff-removed' : ''
+                        }
+                      >
+                        {line}
+                      </div>
+                    ))}
+                  </pre>
+                )}
+              </div>
+            ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+function UploadPreview({ preview, onConfirm, onCancel, submitting = false }) {
+  // Unchanged files would be no-ops, so only real changes start out selected
+  const [selected, setSelected] = useState(() => new Set(
+    preview.entries
+      .filter(entry => ['added', 'modified', 'deleted'].includes(entry.status))
+      .map(entry => entry.path)
+  ));
+  const [expandedDiffs, setExpandedDiffs] = useState(new Set());
+
+  const tree = useMemo(() => buildTree(preview.entries), [preview.entries]);
+
+  // Deselected deletions keep their file, so the cap applies to the selection
+  const selectedDeletions = preview.entries
+    .filter(entry => entry.status === 'deleted' && selected.has(entry.path))
+    .length;
+  const mirrorBlocked = preview.mirror && (
+    preview.treeTruncated || selectedDeletions > preview.mirror.maxDeletions
+  );
+
+  const handleToggle = (paths, checked) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      paths.forEach(path => checked ? next.add(path) : next.delete(path));
+      return next;
+    });
+  };
+
+  const handleToggleDiff = (path) => {
+    setExpandedDiffs(prev => {
+      const next = new Set(prev);
+      next.has(path) ? next.delete(path) : next.add(path);
+      return next;
+    });
+  };
+
+  return (
+    <div className="upload-preview">
+      <div className="preview-header">
+        <h3>Review Changes</h3>
+        <span className="preview-branch">
+          Compared with {preview.branch} @ {preview.baseCommit.substring(0, 7)}
+        </span>
+      </div>
+
+      <div className="preview-summary">
+        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+          <span key={status} className={`preview-status status-${status}`}>
+            {preview.summary[status] || 0} {label}
+          </span>
+        ))}
+      </div>
+
+      {preview.treeTruncated && (
+        <div className="upload-error">
+          <span className="error-icon">⚠️</span>
+          <span className="error-message">
+            The repository is too large to compare completely. Some files may be shown as added.
+          </span>
+        </div>
+      )}
+
+      {mirrorBlocked && (
+        <div className="upload-error">
+          <span className="error-icon">⚠️</span>
+          <span className="error-message">
+            {preview.treeTruncated
+              ? preview.mirror.error
+              : `${selectedDeletions} files selected for deletion, the limit is ${preview.mirror.maxDeletions}. Deselect some deletions to continue.`}
+          </span>
+        </div>
+      )}
+
+      <div className="preview-tree">
+        <TreeNode
+          node={tree}
+          selected={selected}
+          expandedDiffs={expandedDiffs}
+          onToggle={handleToggle}
+          onToggleDiff={handleToggleDiff}
+        />
+      </div>
+
+      <div className="preview-actions">
+        <button
+          onClick={onCancel}
+          disabled={submitting}
+          className="cancel-button"
+        >
+          Discard
+        </button>
+        <button
+          onClick={() => onConfirm(Array.from(selected))}
+          disabled={submitting || selected.size === 0 || mirrorBlocked}
+          className="install-button"
+        >
+          {submitting ? 'Starting...' : `Upload ${selected.size} file${selected.size === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UploadPreview;
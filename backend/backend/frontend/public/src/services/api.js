@@ -1,307 +1,175 @@
-import React, { useState, useEffect } from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
-import Dashboard from './components/Dashboard';
-import UploadBox from './components/UploadBox';
-import ProgressBar from './components/ProgressBar';
-import { checkInstallation, getRepositories } from './services/api';
-import './styles/main.css';
-
-function App() {
-  const [installed, setInstalled] = useState(false);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [repositories, setRepositories] = useState([]);
-  const [uploadSession, setUploadSession] = useState(null);
-
-  useEffect(() => {
-    checkInstallationStatus();
-  }, []);
+import axios from 'axios';
+
+const API_URL = `${process.env.REACT_APP_API_URL || ''}/api`;
+
+// The backend keeps the installation and upload sessions in a cookie session
+const client = axios.create({
+  baseURL: API_URL,
+  withCredentials: true
+});
+
+// Components show error.message, so it carries the server's explanation
+// rather than axios' "Request failed with status code ..."
+client.interceptors.response.use(response => response, error => {
+  const data = error.response?.data || {};
+  const apiError = new Error(data.error || error.message);
+  apiError.status = error.response?.status;
+  apiError.code = data.code;
+  // What an upload dropped, even when nothing was left to commit
+  apiError.skipped = data.skipped;
+  return Promise.reject(apiError);
+});
+
+// Picks the installation a request acts for; without it the server uses the
+// session's current installation
+function installationConfig(installationId) {
+  return installationId ? { headers: { 'X-Installation-Id': String(installationId) } } : {};
+}
 
-  const checkInstallationStatus = async () => {
-    try {
-      setLoading(true);
-      const installationStatus = await checkInstallation();
-      
-      if (installationStatus.installed) {
-        setInstalled(true);
-        await loadRepositories();
-      } else {
-        setInstalled(false);
-      }
-    } catch (err) {
-      console.error('Failed to check installation:', err);
-      setError('Failed to connect to server');
-    } finally {
-      setLoading(false);
+// Multipart fields for the upload settings; unset ones are left out so the
+// server applies its defaults
+function appendOptions(formData, options) {
+  Object.entries(options).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(name, String(value));
     }
-  };
+  });
+}
 
-  const loadRepositories = async () => {
-    try {
-      const repos = await getRepositories();
-      setRepositories(repos);
-    } catch (err) {
-      console.error('Failed to load repositories:', err);
-      setError('Failed to load repositories');
+// The signed-in user and their installations, or null when nobody is signed
+// in or the sign-in has expired
+export async function getCurrentUser() {
+  try {
+    const { data } = await client.get('/auth/me');
+    return data;
+  } catch (error) {
+    if (error.code === 'NOT_AUTHENTICATED') {
+      return null;
     }
-  };
+    throw error;
+  }
+}
 
-  const handleInstallSuccess = () => {
-    setInstalled(true);
-    loadRepositories();
-  };
+// { loginUrl } to send the browser to for "Sign in with GitHub"
+export async function startLogin() {
+  const { data } = await client.get('/auth/login');
+  return data;
+}
+
+// Exchanges the code GitHub redirected back with; state must be the one
+// startLogin stored in the session
+export async function completeLogin(code, state) {
+  const { data } = await client.post('/auth/callback', { code, state });
+  return data;
+}
 
-  const handleUploadStart = (sessionData) => {
-    setUploadSession(sessionData);
-  };
+export async function logout() {
+  const { data } = await client.post('/auth/logout');
+  return data;
+}
 
-  const handleUploadComplete = () => {
-    setUploadSession(null);
-    setError(null);
-  };
+// Adds one of the user's existing installations to the session
+export async function selectInstallation(installationId) {
+  const { data } = await client.post('/auth/installation', { installation_id: installationId });
+  return data;
+}
 
-  if (loading) {
-    return (
-      <div className="loading-screen">
-        <div className="loading-spinner"></div>
-        <p>Loading GitHub Folder Uploader...</p>
-      </div>
-    );
+export async function checkInstallation() {
+  try {
+    const { data } = await client.get('/install/status');
+    return data;
+  } catch (error) {
+    // 404 just means nothing is installed yet
+    if (error.status === 404) {
+      return { installed: false };
+    }
+    throw error;
   }
+}
+
+// One page of repositories across the session's installations, or of one
+// installation when installationId is given; params are the /api/repos query
+// (q, sort, visibility, cursor, refresh) and unset ones are left out
+export async function getRepositories({ installationId, ...params } = {}) {
+  const { data } = await client.get('/repos', {
+    ...installationConfig(installationId),
+    params
+  });
+  return data;
+}
 
-  return (
-    <div className="app">
-      <header className="app-header">
-        <div className="container">
-          <h1>GitHub Folder Uploader</h1>
-          <p className="subtitle">
-            Upload folders and ZIP files directly to your GitHub repositories
-          </p>
-        </div>
-      </header>
+// One page of branches; cursor is the previous page's nextCursor
+export async function getBranches(owner, repo, installationId, { cursor } = {}) {
+  const { data } = await client.get(`/repos/${owner}/${repo}/branches`, {
+    ...installationConfig(installationId),
+    params: { cursor }
+  });
+  return data;
+}
 
-      <main className="app-main">
-        <div className="container">
-          {error && (
-            <div className="error-banner">
-              <span>{error}</span>
-              <button 
-                onClick={() => setError(null)}
-                className="close-button"
-              >
-                ×
-              </button>
-            </div>
-          )}
+export async function searchBranches(owner, repo, installationId, query) {
+  const { data } = await client.get(`/repos/${owner}/${repo}/branches/search`, {
+    ...installationConfig(installationId),
+    params: { q: query }
+  });
+  return data;
+}
 
-          <Routes>
-            <Route 
-              path="/" 
-              element={
-                <Navigate to="/dashboard" replace />
-              } 
-            />
-            
-            <Route 
-              path="/dashboard" 
-              element={
-                installed ? (
-                  <Dashboard 
-                    repositories={repositories}
-                    onUploadStart={handleUploadStart}
-                    onRefreshRepos={loadRepositories}
-                  />
-                ) : (
-                  <div className="install-prompt">
-                    <h2>Welcome to GitHub Folder Uploader</h2>
-                    <p>
-                      This application allows you to upload entire folders or ZIP files 
-                      directly to your GitHub repositories using GitHub App authentication.
-                    </p>
-                    
-                    <div className="install-steps">
-                      <div className="step">
-                        <div className="step-number">1</div>
-                        <div className="step-content">
-                          <h3>Install GitHub App</h3>
-                          <p>Install the app on your GitHub account or organization</p>
-                        </div>
-                      </div>
-                      
-                      <div className="step">
-                        <div className="step-number">2</div>
-                        <div className="step-content">
-                          <h3>Select Repository</h3>
-                          <p>Choose where to upload your files</p>
-                        </div>
-                      </div>
-                      
-                      <div className="step">
-                        <div className="step-number">3</div>
-                        <div className="step-content">
-                          <h3>Upload Files</h3>
-                          <p>Drag & drop folders or ZIP files</p>
-                        </div>
-                      </div>
-                    </div>
-                    
-                    <button 
-                      onClick={() => window.location.href = '/dashboard/install'}
-                      className="install-button"
-                    >
-                      Get Started
-                    </button>
-                  </div>
-                )
-              } 
-            />
-            
-            <Route 
-              path="/dashboard/install" 
-              element={
-                <InstallFlow 
-                  onInstallSuccess={handleInstallSuccess}
-                  onError={setError}
-                />
-              } 
-            />
-            
-            <Route 
-              path="/upload" 
-              element={
-                uploadSession ? (
-                  <UploadProgress 
-                    sessionId={uploadSession.sessionId}
-                    fileCount={uploadSession.fileCount}
-                    onComplete={handleUploadComplete}
-                    onError={setError}
-                  />
-                ) : (
-                  <Navigate to="/dashboard" replace />
-                )
-              } 
-            />
-          </Routes>
-        </div>
-      </main>
+// Sends the archive; nothing is committed until executeUpload
+export async function startUpload(file, { installationId, ...options }) {
+  const formData = new FormData();
+  appendOptions(formData, options);
+  formData.append('file', file);
 
-      <footer className="app-footer">
-        <div className="container">
-          <p>
-            Using GitHub App authentication • 
-            <a 
-              href={`https://github.com/apps/${process.env.REACT_APP_GITHUB_APP_SLUG}`}
-              target="_blank"
-              rel="noopener noreferrer"
-            >
-              About the GitHub App
-            </a>
-          </p>
-          <p className="copyright">
-            GitHub Folder Uploader © {new Date().getFullYear()} • 
-            Not affiliated with GitHub, Inc.
-          </p>
-        </div>
-      </footer>
-    </div>
-  );
+  const { data } = await client.post('/upload/start', formData, installationConfig(installationId));
+  return data;
 }
 
-function InstallFlow({ onInstallSuccess, onError }) {
-  const [loading, setLoading] = useState(false);
-  const [installUrl, setInstallUrl] = useState(null);
+// Sends a folder file by file; each part is named by the file's path in the
+// folder, which the server keeps as the upload path
+export async function startFolderUpload(files, paths, { installationId, ...options }) {
+  const formData = new FormData();
+  appendOptions(formData, options);
+  files.forEach((file, index) => {
+    formData.append('files', file, paths[index]);
+  });
+
+  const { data } = await client.post('/upload/start-folder', formData, installationConfig(installationId));
+  return data;
+}
 
-  useEffect(() => {
-    startInstallation();
-  }, []);
+export async function getUploadPreview(sessionId) {
+  const { data } = await client.get(`/upload/preview/${sessionId}`);
+  return data;
+}
 
-  const startInstallation = async () => {
-    try {
-      setLoading(true);
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/install/start`, {
-        credentials: 'include'
-      });
-      
-      if (!response.ok) {
-        throw new Error('Failed to start installation');
-      }
-      
-      const data = await response.json();
-      setInstallUrl(data.installUrl);
-    } catch (err) {
-      onError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+// Without selectedPaths every file of the session is uploaded
+export async function executeUpload(sessionId, selectedPaths) {
+  const { data } = await client.post(`/upload/execute/${sessionId}`, { selectedPaths });
+  return data;
+}
 
-  if (loading) {
-    return (
-      <div className="install-flow">
-        <div className="loading-spinner"></div>
-        <p>Preparing installation...</p>
-      </div>
-    );
-  }
+// Runs the files that failed or never ran again; committed ones stay as they are
+export async function retryUpload(sessionId) {
+  const { data } = await client.post(`/upload/retry/${sessionId}`);
+  return data;
+}
 
-  return (
-    <div className="install-flow">
-      <h2>Install GitHub App</h2>
-      
-      {installUrl && (
-        <>
-          <div className="install-info">
-            <p>
-              You'll be redirected to GitHub to install the app. 
-              After installation, you'll return to this application.
-            </p>
-            
-            <div className="permissions-list">
-              <h4>Permissions requested:</h4>
-              <ul>
-                <li>
-                  <strong>Repository contents:</strong> Read & write access
-                </li>
-                <li>
-                  <strong>Repository metadata:</strong> Read-only access
-                </li>
-              </ul>
-            </div>
-          </div>
-          
-          <div className="install-actions">
-            <button
-              onClick={() => window.location.href = installUrl}
-              className="install-button"
-            >
-              Install GitHub App
-            </button>
-            
-            <button
-              onClick={() => window.history.back()}
-              className="cancel-button"
-            >
-              Cancel
-            </button>
-          </div>
-        </>
-      )}
-    </div>
-  );
+export async function getUploadStatus(sessionId) {
+  const { data } = await client.get(`/upload/status/${sessionId}`);
+  return data;
 }
 
-function UploadProgress({ sessionId, fileCount, onComplete, onError }) {
-  // Implementation would connect to SSE and show progress
-  return (
-    <div className="upload-progress-view">
-      <ProgressBar 
-        sessionId={sessionId}
-        fileCount={fileCount}
-        onComplete={onComplete}
-        onError={onError}
-      />
-    </div>
-  );
+export async function cancelUpload(sessionId) {
+  const { data } = await client.post(`/upload/cancel/${sessionId}`);
+  return data;
 }
 
-export default App;
+// A fresh EventSource can't send Last-Event-ID itself, so events after
+// lastEventId are asked for in the query
+export function createSSEConnection(sessionId, lastEventId) {
+  const query = lastEventId ? `?lastEventId=${lastEventId}` : '';
+  return new EventSource(`${API_URL}/upload-progress/${sessionId}${query}`, {
+    withCredentials: true
+  });
+}
@@ -0,0 +1,74 @@
+import JSZip from 'jszip';
+import ignore from 'ignore';
+
+// Left out of every folder upload, whatever the folder's own .gitignore says
+export const DEFAULT_EXCLUSIONS = ['.git/', 'node_modules/', '.DS_Store', 'Thumbs.db'];
+
+// Like git, a .gitignore applies to its own directory and everything below
+// it. The extra patterns apply from the top of the folder.
+async function buildMatchers(files, paths, extraPatterns) {
+  const matchers = [{ dir: '', rules: ignore().add(extraPatterns) }];
+
+  for (let i = 0; i < files.length; i++) {
+    const parts = paths[i].split('/');
+    if (parts[parts.length - 1] === '.gitignore') {
+      matchers.push({
+        dir: parts.slice(0, -1).join('/'),
+        rules: ignore().add(await files[i].text())
+      });
+    }
+  }
+
+  return matchers;
+}
+
+function isExcluded(path, matchers) {
+  return matchers.some(({ dir, rules }) => {
+    if (dir && !path.startsWith(`${dir}/`)) {
+      return false;
+    }
+    return rules.ignores(dir ? path.slice(dir.length + 1) : path);
+  });
+}
+
+// Zips a dropped folder in the browser so it can go through the regular
+// archive upload. `paths` are the files' paths inside the folder;
+// `exclusions` are extra .gitignore-style patterns.
+export async function zipFolder(files, paths, { exclusions = [], onProgress } = {}) {
+  const matchers = await buildMatchers(files, paths, [...DEFAULT_EXCLUSIONS, ...exclusions]);
+  const zip = new JSZip();
+  const included = [];
+  const excluded = [];
+
+  files.forEach((file, index) => {
+    const path = paths[index];
+    if (isExcluded(path, matchers)) {
+      excluded.push(path);
+    } else {
+      zip.file(path, file);
+      included.push(path);
+    }
+  });
+
+  if (included.length === 0) {
+    throw new Error('Every file in the folder is excluded');
+  }
+
+  const blob = await zip.generateAsync({
+    type: 'blob',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 }
+  }, (metadata) => {
+    if (onProgress) {
+      onProgress({ percent: metadata.percent, currentFile: metadata.currentFile });
+    }
+  });
+
+  const folderName = paths[0].split('/')[0] || 'folder';
+
+  return {
+    file: new File([blob], `${folderName}.zip`, { type: 'application/zip' }),
+    included,
+    excluded
+  };
+}
@@ -3,10 +3,15 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import session from 'express-session';
 import { createServer } from 'http';
-import { setupSSE } from './src/services/uploadQueue.js';
+import { setupSSE } from './src/services/sessionEvents.js';
+import sessionStore from './src/services/sessionStore.js';
+import uploadQueue from './src/services/uploadQueue.js';
+import { requireInstallation } from './src/github/installations.js';
+import authRoutes from './src/routes/auth.js';
 import installRoutes from './src/routes/install.js';
 import uploadRoutes from './src/routes/upload.js';
 import repoRoutes from './src/routes/repos.js';
+import webhookRoutes from './src/routes/webhooks.js';
 
 dotenv.config();
 
@@ -19,6 +24,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Webhooks verify their signature against the raw body, so they are
+// mounted before the JSON parser consumes it
+app.use('/api/webhooks', webhookRoutes);
+
 app.use(express.json({ limit: process.env.MAX_UPLOAD_SIZE }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -35,12 +44,13 @@ app.use(session({
 }));
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/install', installRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/repos', repoRoutes);
 
-// SSE endpoint for real-time progress
-app.get('/api/upload-progress/:sessionId', setupSSE);
+// SSE endpoint for real-time progress; signed in like the upload routes
+app.get('/api/upload-progress/:sessionId', requireInstallation, setupSSE);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -62,6 +72,10 @@ app.use((err, req, res, next) => {
   res.status(status).json({ error: message });
 });
 
+// Restore upload sessions persisted before the last shutdown
+await sessionStore.init();
+uploadQueue.configure();
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
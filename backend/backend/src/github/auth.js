@@ -1,11 +1,21 @@
 import jwt from 'jsonwebtoken';
 import axios from 'axios';
 
+// Tokens are treated as expired this long before GitHub's expires_at so a
+// request started just before expiry doesn't arrive with a dead token
+const TOKEN_EXPIRY_MARGIN = 5 * 60 * 1000;
+
 class GitHubAuth {
   constructor() {
     this.appId = process.env.GITHUB_APP_ID;
     this.privateKey = process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
     this.tokenCache = new Map();
+    // Token requests in flight, so jobs that all find the token expired at
+    // once share a single refresh
+    this.pendingTokens = new Map();
+    // Installations GitHub told us were deleted or suspended; no token is
+    // requested for them until they are installed or unsuspended again
+    this.revokedInstallations = new Set();
   }
 
   generateJWT() {
@@ -19,6 +29,13 @@ class GitHubAuth {
   }
 
   async getInstallationToken(installationId) {
+    if (this.isInstallationRevoked(installationId)) {
+      const error = new Error('The GitHub App installation was removed or suspended');
+      error.code = 'INSTALLATION_REVOKED';
+      error.status = 403;
+      throw error;
+    }
+
     const cacheKey = `installation_token_${installationId}`;
     
     if (this.tokenCache.has(cacheKey)) {
@@ -29,6 +46,16 @@ class GitHubAuth {
       this.tokenCache.delete(cacheKey);
     }
 
+    if (!this.pendingTokens.has(cacheKey)) {
+      const request = this.requestInstallationToken(installationId, cacheKey).finally(() => {
+        this.pendingTokens.delete(cacheKey);
+      });
+      this.pendingTokens.set(cacheKey, request);
+    }
+    return this.pendingTokens.get(cacheKey);
+  }
+
+  async requestInstallationToken(installationId, cacheKey) {
     const jwtToken = this.generateJWT();
     
     try {
@@ -45,11 +72,12 @@ class GitHubAuth {
       );
 
       const tokenData = response.data;
-      const expiresAt = Date.now() + (60 * 60 * 1000) - 60000;
+      const expiresAt = Date.parse(tokenData.expires_at) - TOKEN_EXPIRY_MARGIN;
 
       this.tokenCache.set(cacheKey, {
         token: tokenData.token,
-        expiresAt: expiresAt
+        expiresAt: expiresAt,
+        permissions: tokenData.permissions || {}
       });
 
       return tokenData.token;
@@ -59,6 +87,38 @@ class GitHubAuth {
     }
   }
 
+  // What the installation was granted ({ contents: 'write', ... }), as
+  // reported with its current token
+  async getInstallationPermissions(installationId) {
+    await this.getInstallationToken(installationId);
+    return this.tokenCache.get(`installation_token_${installationId}`)?.permissions || {};
+  }
+
+  // Drops a cached token GitHub has rejected so the next call fetches a new
+  // one. Passing the rejected token leaves a newer one alone if another
+  // request already refreshed it.
+  invalidateInstallationToken(installationId, token = null) {
+    const cacheKey = `installation_token_${installationId}`;
+    const cached = this.tokenCache.get(cacheKey);
+
+    if (cached && (!token || cached.token === token)) {
+      this.tokenCache.delete(cacheKey);
+    }
+  }
+
+  revokeInstallation(installationId) {
+    this.revokedInstallations.add(String(installationId));
+    this.invalidateInstallationToken(installationId);
+  }
+
+  restoreInstallation(installationId) {
+    this.revokedInstallations.delete(String(installationId));
+  }
+
+  isInstallationRevoked(installationId) {
+    return this.revokedInstallations.has(String(installationId));
+  }
+
   async verifyInstallation(installationId) {
     const jwtToken = this.generateJWT();
     
@@ -0,0 +1,163 @@
+import GitHubAuth from './auth.js';
+import { getBranchProtection, getBranchRules } from '../utils/gitData.js';
+
+// Reason codes say why a target can't take a direct commit (or at all):
+//   read-only              the installation can't write repository contents
+//   archived               the repository is archived
+//   pull-requests-denied   the installation can't open pull requests
+//   locked                 the branch is locked or its updates are restricted
+//   push-restricted        only listed people, teams and apps may push
+//   pull-request-required  changes have to come in through a pull request
+//   status-checks-required commits need passing checks before they land
+//   rules-unknown          the branch is protected but the app may not read how
+
+// What the installation may do in a repository, whatever the branch
+export async function getRepoAccess(installationId, repo) {
+  const permissions = await GitHubAuth.getInstallationPermissions(installationId);
+  return describeRepoAccess(permissions, repo);
+}
+
+export function describeRepoAccess(permissions, repo) {
+  const reasons = [];
+
+  if (permissions.contents !== 'write') {
+    reasons.push('read-only');
+  }
+  if (repo.archived) {
+    reasons.push('archived');
+  }
+  if (permissions.pull_requests !== 'write') {
+    reasons.push('pull-requests-denied');
+  }
+
+  const write = !reasons.includes('read-only') && !reasons.includes('archived');
+  return {
+    write,
+    pull_requests: write && !reasons.includes('pull-requests-denied'),
+    reasons
+  };
+}
+
+function emptyRules() {
+  return {
+    requiresPullRequest: false,
+    requiresSignedCommits: false,
+    statusChecks: [],
+    locked: false,
+    restricted: false,
+    known: true
+  };
+}
+
+function addClassicProtection(rules, protection) {
+  if (protection.required_pull_request_reviews) {
+    rules.requiresPullRequest = true;
+  }
+  if (protection.required_signatures?.enabled) {
+    rules.requiresSignedCommits = true;
+  }
+  if (protection.lock_branch?.enabled) {
+    rules.locked = true;
+  }
+
+  const checks = protection.required_status_checks;
+  if (checks) {
+    rules.statusChecks.push(...(checks.checks?.map(check => check.context) || checks.contexts || []));
+  }
+
+  // Push restrictions list every app that may still push, ours included
+  if (protection.restrictions) {
+    const apps = protection.restrictions.apps || [];
+    rules.restricted = !apps.some(app => app.slug === process.env.GITHUB_APP_NAME);
+  }
+}
+
+function addRulesetRules(rules, rulesetRules) {
+  for (const rule of rulesetRules) {
+    switch (rule.type) {
+      case 'pull_request':
+        rules.requiresPullRequest = true;
+        break;
+      case 'required_signatures':
+        rules.requiresSignedCommits = true;
+        break;
+      case 'required_status_checks':
+        rules.statusChecks.push(
+          ...(rule.parameters?.required_status_checks || []).map(check => check.context)
+        );
+        break;
+      case 'update':
+        rules.locked = true;
+        break;
+    }
+  }
+}
+
+// The protection rules on one branch. Classic protection needs the
+// administration permission to read; without it the summary GitHub includes
+// in branch listings still names the required checks, but not whether a
+// pull request is needed.
+async function getRules(repoConfig, token, branch, withRulesets) {
+  const rules = emptyRules();
+
+  if (branch.protected) {
+    const protection = await getBranchProtection(repoConfig, token, branch.name);
+    if (protection) {
+      addClassicProtection(rules, protection);
+    } else {
+      rules.known = false;
+      rules.statusChecks.push(...(branch.protection?.required_status_checks?.contexts || []));
+    }
+  }
+
+  if (branch.protected || withRulesets) {
+    addRulesetRules(rules, await getBranchRules(repoConfig, token, branch.name));
+  }
+
+  rules.statusChecks = [...new Set(rules.statusChecks)];
+  return rules;
+}
+
+// Whether an upload may commit straight to the branch or has to open a pull
+// request against it. Signed commits don't stand in the way: commits the app
+// creates through the API are signed by GitHub.
+export async function getBranchAccess(repoConfig, token, branch, repoAccess, { withRulesets = false } = {}) {
+  const rules = await getRules(repoConfig, token, branch, withRulesets);
+  const reasons = [...repoAccess.reasons];
+
+  if (rules.locked) {
+    reasons.push('locked');
+  }
+  if (rules.restricted) {
+    reasons.push('push-restricted');
+  }
+  if (rules.requiresPullRequest) {
+    reasons.push('pull-request-required');
+  }
+  if (rules.statusChecks.length > 0) {
+    reasons.push('status-checks-required');
+  }
+  if (!rules.known) {
+    reasons.push('rules-unknown');
+  }
+
+  // A protected branch whose rules we can't read is treated as needing a
+  // pull request; that always works where a direct commit might not
+  const directPush = repoAccess.write &&
+    !rules.locked &&
+    !rules.restricted &&
+    !rules.requiresPullRequest &&
+    rules.statusChecks.length === 0 &&
+    rules.known;
+
+  return {
+    direct_push: directPush,
+    pull_request: repoAccess.pull_requests && !rules.locked,
+    requires_pull_request: rules.known ? rules.requiresPullRequest : null,
+    requires_signed_commits: rules.requiresSignedCommits,
+    requires_status_checks: rules.statusChecks.length > 0,
+    status_checks: rules.statusChecks,
+    rules_known: rules.known,
+    reasons
+  };
+}
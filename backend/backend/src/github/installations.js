@@ -0,0 +1,85 @@
+import GitHubAuth from './auth.js';
+
+// A session can hold several installations, each verified against the
+// signed-in user when it was added: { [installationId]: installationInfo }.
+// `session.installationId` is the one requests use when they don't name one.
+
+export function getSessionInstallations(session) {
+  // Sessions from before installations were kept as a set hold just one
+  if (!session.installations && session.installationId) {
+    session.installations = {
+      [String(session.installationId)]: session.installationInfo || { id: session.installationId }
+    };
+  }
+  return session.installations || {};
+}
+
+export function hasSessionInstallation(session, installationId) {
+  return Boolean(getSessionInstallations(session)[String(installationId)]);
+}
+
+export function addSessionInstallation(session, installation) {
+  session.installations = {
+    ...getSessionInstallations(session),
+    [String(installation.id)]: installation
+  };
+  session.installationId = String(installation.id);
+}
+
+export function removeSessionInstallation(session, installationId) {
+  const installations = { ...getSessionInstallations(session) };
+  delete installations[String(installationId)];
+  session.installations = installations;
+
+  if (String(session.installationId) === String(installationId)) {
+    session.installationId = Object.keys(installations)[0] || null;
+  }
+}
+
+// Drops installations GitHub has since told us were removed or suspended
+function pruneRevokedInstallations(session) {
+  Object.keys(getSessionInstallations(session))
+    .filter(installationId => GitHubAuth.isInstallationRevoked(installationId))
+    .forEach(installationId => removeSessionInstallation(session, installationId));
+}
+
+// The installation a request asks to act on, from the X-Installation-Id
+// header or the installation_id query parameter (for EventSource and links)
+export function getRequestedInstallation(req) {
+  const requested = req.get('X-Installation-Id') || req.query.installation_id;
+  return requested ? String(requested) : null;
+}
+
+// Sets req.installationId to the installation the request acts on and
+// req.installationIds to every installation of the session
+export const requireInstallation = (req, res, next) => {
+  if (!req.session.githubUser) {
+    return res.status(401).json({
+      error: 'Sign in with GitHub first',
+      code: 'NOT_AUTHENTICATED'
+    });
+  }
+
+  pruneRevokedInstallations(req.session);
+  const installations = getSessionInstallations(req.session);
+  const requested = getRequestedInstallation(req);
+
+  if (requested && !installations[requested]) {
+    return res.status(403).json({
+      error: 'This installation has not been added to your session',
+      code: 'INSTALLATION_NOT_AVAILABLE'
+    });
+  }
+
+  const installationId = requested || req.session.installationId;
+  if (!installationId || !installations[installationId]) {
+    return res.status(401).json({
+      error: 'GitHub App not installed. Please install the app first.',
+      code: 'NOT_INSTALLED'
+    });
+  }
+
+  req.installationId = String(installationId);
+  req.installationIds = Object.keys(installations);
+  next();
+};
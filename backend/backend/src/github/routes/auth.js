@@ -0,0 +1,159 @@
+import express from 'express';
+import GitHubAuth from '../github/auth.js';
+import GitHubUserAuth, { requireUser } from '../github/userAuth.js';
+import {
+  getSessionInstallations,
+  addSessionInstallation,
+  removeSessionInstallation
+} from '../github/installations.js';
+
+const router = express.Router();
+
+// Errors raised by GitHubUserAuth carry their status; GitHub rejecting the
+// user token means the sign-in is no longer good either
+function sendAuthError(res, error, fallback) {
+  // Refused by getBindableInstallation, not by GitHub
+  if (error.status === 403 && !error.response) {
+    return res.status(403).json({ error: error.message, code: error.code });
+  }
+
+  if (error.status === 401 || error.response?.status === 401) {
+    return res.status(401).json({
+      error: error.status === 401 ? error.message : 'Your GitHub sign-in is no longer valid, please sign in again',
+      code: 'NOT_AUTHENTICATED'
+    });
+  }
+  res.status(500).json({ error: fallback });
+}
+
+// Start "Sign in with GitHub"
+router.get('/login', (req, res) => {
+  try {
+    const state = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    req.session.oauthState = state;
+
+    res.json({
+      success: true,
+      loginUrl: GitHubUserAuth.getAuthorizeUrl(state),
+      message: 'Redirect user to this URL to sign in with GitHub'
+    });
+  } catch (error) {
+    console.error('Login start error:', error);
+    res.status(500).json({ error: 'Failed to generate sign-in URL' });
+  }
+});
+
+// Finish sign-in after GitHub redirects back with a code
+router.post('/callback', async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Missing code parameter' });
+  }
+
+  if (!state || state !== req.session.oauthState) {
+    return res.status(400).json({ error: 'Invalid state parameter' });
+  }
+
+  try {
+    const userToken = await GitHubUserAuth.exchangeCode(code);
+    const user = await GitHubUserAuth.getUser(userToken.token);
+
+    // A new session id for the signed-in user, so one set before sign-in
+    // (say, by someone else) can't be carried over
+    await new Promise((resolve, reject) => {
+      req.session.regenerate(error => error ? reject(error) : resolve());
+    });
+    req.session.githubUser = user;
+    req.session.userToken = userToken;
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Login callback error:', error.response?.data || error.message);
+    sendAuthError(res, error, 'Failed to sign in with GitHub');
+  }
+});
+
+// The signed-in user and the installations they may use
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    const token = await GitHubUserAuth.getUserToken(req.session);
+    const installations = await GitHubUserAuth.getUserInstallations(token);
+
+    // Drop installations the user has since lost access to
+    Object.keys(getSessionInstallations(req.session))
+      .filter(bound => !installations.some(installation => String(installation.id) === bound))
+      .forEach(bound => removeSessionInstallation(req.session, bound));
+
+    const sessionInstallations = getSessionInstallations(req.session);
+
+    res.json({
+      user: req.session.githubUser,
+      installations: installations.map(installation => ({
+        ...installation,
+        added: Boolean(sessionInstallations[String(installation.id)])
+      })),
+      installationId: req.session.installationId || null
+    });
+  } catch (error) {
+    console.error('Auth status error:', error.response?.data || error.message);
+    sendAuthError(res, error, 'Failed to load GitHub account');
+  }
+});
+
+// Add one of the user's existing installations to the session without
+// installing again
+router.post('/installation', requireUser, async (req, res) => {
+  const { installation_id } = req.body;
+
+  if (!installation_id) {
+    return res.status(400).json({ error: 'Missing installation_id parameter' });
+  }
+
+  try {
+    await GitHubUserAuth.getBindableInstallation(req.session, installation_id);
+
+    const installation = await GitHubAuth.verifyInstallation(installation_id);
+
+    if (!installation) {
+      return res.status(404).json({ error: 'Installation not found or access denied' });
+    }
+
+    GitHubAuth.restoreInstallation(installation_id);
+    addSessionInstallation(req.session, installation);
+
+    res.json({
+      success: true,
+      installation
+    });
+  } catch (error) {
+    console.error('Installation select error:', error.response?.data || error.message);
+    sendAuthError(res, error, 'Failed to select installation');
+  }
+});
+
+// Remove an installation from the session; it stays installed on GitHub
+router.delete('/installation/:installationId', requireUser, (req, res) => {
+  removeSessionInstallation(req.session, req.params.installationId);
+
+  res.json({
+    success: true,
+    installationId: req.session.installationId || null
+  });
+});
+
+router.post('/logout', (req, res) => {
+  req.session.destroy(error => {
+    if (error) {
+      console.error('Logout error:', error);
+      return res.status(500).json({ error: 'Failed to sign out' });
+    }
+
+    res.json({ success: true });
+  });
+});
+
+export default router;
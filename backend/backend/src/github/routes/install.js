@@ -1,5 +1,11 @@
 import express from 'express';
 import GitHubAuth from '../github/auth.js';
+import GitHubUserAuth, { requireUser } from '../github/userAuth.js';
+import {
+  getSessionInstallations,
+  addSessionInstallation,
+  removeSessionInstallation
+} from '../github/installations.js';
 
 const router = express.Router();
 
@@ -23,8 +29,9 @@ router.get('/start', (req, res) => {
   }
 });
 
-// Verify installation after user returns from GitHub
-router.post('/verify', async (req, res) => {
+// Verify installation after user returns from GitHub. Requires a signed-in
+// user, since only installations they belong to may be bound.
+router.post('/verify', requireUser, async (req, res) => {
   const { installation_id, setup_action, state } = req.body;
   
   if (!installation_id) {
@@ -36,15 +43,21 @@ router.post('/verify', async (req, res) => {
   }
 
   try {
+    // Knowing an installation id is not enough, GitHub has to list it
+    // among the signed-in user's installations, and not as suspended
+    await GitHubUserAuth.getBindableInstallation(req.session, installation_id);
+    
     const installation = await GitHubAuth.verifyInstallation(installation_id);
     
     if (!installation) {
       return res.status(404).json({ error: 'Installation not found or access denied' });
     }
 
-    // Store installation in session
-    req.session.installationId = installation_id;
-    req.session.installationInfo = installation;
+    // A fresh install lifts a revocation whose webhook may not have arrived
+    GitHubAuth.restoreInstallation(installation_id);
+    
+    // Added next to any installations the session already has
+    addSessionInstallation(req.session, installation);
     req.session.installState = null; // Clear one-time state
 
     res.json({ 
@@ -54,13 +67,25 @@ router.post('/verify', async (req, res) => {
     });
   } catch (error) {
     console.error('Install verification error:', error);
+    
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, code: 'NOT_AUTHENTICATED' });
+    }
+    
+    // Refused by getBindableInstallation, not by GitHub
+    if (error.status === 403 && !error.response) {
+      return res.status(403).json({ error: error.message, code: error.code });
+    }
+    
     res.status(500).json({ error: 'Failed to verify installation' });
   }
 });
 
 // Get current installation info
 router.get('/status', (req, res) => {
-  if (!req.session.installationId) {
+  const installations = getSessionInstallations(req.session);
+  
+  if (Object.keys(installations).length === 0) {
     return res.status(404).json({ 
       installed: false,
       message: 'GitHub App not installed'
@@ -70,7 +95,8 @@ router.get('/status', (req, res) => {
   res.json({
     installed: true,
     installationId: req.session.installationId,
-    installation: req.session.installationInfo
+    installation: installations[req.session.installationId],
+    installations: Object.values(installations)
   });
 });
 
@@ -83,11 +109,8 @@ router.post('/uninstall', async (req, res) => {
       return res.status(400).json({ error: 'Missing installation_id' });
     }
 
-    // Note: GitHub will call webhook, but we can also clean up session
-    if (req.session.installationId === installation_id) {
-      req.session.installationId = null;
-      req.session.installationInfo = null;
-    }
+    // The installation itself is revoked by the webhook GitHub sends
+    removeSessionInstallation(req.session, installation_id);
 
     res.json({ 
       success: true, 
@@ -1,93 +1,211 @@
 import express from 'express';
 import axios from 'axios';
 import GitHubAuth from '../github/auth.js';
+import repoCache from '../services/repoCache.js';
+import { hasBranchRulesets } from '../utils/gitData.js';
+import { fetchAllPages } from '../utils/conditionalPages.js';
+import { REPO_SORTS, encodeCursor, decodeRepoCursor, decodeBranchCursor } from '../utils/listCursors.js';
+import { getRepoAccess, describeRepoAccess, getBranchAccess } from '../github/branchAccess.js';
+import {
+  requireInstallation,
+  getRequestedInstallation,
+  getSessionInstallations
+} from '../github/installations.js';
 
 const router = express.Router();
 
-// Middleware to require installation
-const requireInstallation = (req, res, next) => {
-  if (!req.session.installationId) {
-    return res.status(401).json({ 
-      error: 'GitHub App not installed. Please install the app first.',
-      code: 'NOT_INSTALLED'
-    });
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SEARCH_RESULTS = 20;
+
+const VISIBILITIES = ['all', 'public', 'private'];
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 1 ? fallback : Math.min(limit, MAX_PAGE_SIZE);
+}
+
+function invalidQuery(res, error) {
+  return res.status(400).json({ error, code: 'INVALID_QUERY' });
+}
+
+// Responses carry an ETag (Express adds one to every JSON body) and must be
+// revalidated before reuse, so an unchanged page costs the browser a 304
+function revalidateOnUse(res) {
+  res.set('Cache-Control', 'private, no-cache');
+}
+
+// Every repository one installation can access. Within the cache TTL the
+// cached list is used as is; after it, or on refresh, its pages are
+// revalidated with GitHub.
+async function fetchInstallationRepos(installationId, installation, refresh) {
+  const cached = repoCache.get(installationId);
+  if (!refresh && repoCache.isFresh(cached)) {
+    return cached.pages.flatMap(page => page.items);
   }
-  req.installationId = req.session.installationId;
-  next();
-};
+  
+  const token = await GitHubAuth.getInstallationToken(installationId);
+  const permissions = await GitHubAuth.getInstallationPermissions(installationId);
+  
+  const pages = await fetchAllPages('https://api.github.com/installation/repositories', token, {
+    previous: cached?.pages,
+    select: data => data.repositories,
+    map: repo => ({
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      owner: repo.owner.login,
+      private: repo.private,
+      default_branch: repo.default_branch,
+      description: repo.description,
+      updated_at: repo.updated_at,
+      archived: repo.archived,
+      // What uploads may do here before any branch is picked
+      access: describeRepoAccess(permissions, repo),
+      // Uploads to this repository have to name this installation
+      installation_id: installationId,
+      installation_account: installation.account || repo.owner.login
+    })
+  });
+  
+  repoCache.set(installationId, pages);
+  return pages.flatMap(page => page.items);
+}
 
-// Get all repositories accessible to the installation
+// Repositories accessible to the session's installations, or to the one
+// installation the request names, a page at a time:
+//   q           matches the name, owner or description
+//   sort        updated (most recent first, the default) or name
+//   visibility  all (the default), public or private
+//   limit       repositories per page, at most 100
+//   cursor      nextCursor of the previous page
+//   refresh     true revalidates the cached lists with GitHub
 router.get('/', requireInstallation, async (req, res) => {
+  const { q = '', sort = 'updated', visibility = 'all', cursor } = req.query;
+  
+  if (!Object.keys(REPO_SORTS).includes(sort)) {
+    return invalidQuery(res, `Unknown sort "${sort}", use one of: ${Object.keys(REPO_SORTS).join(', ')}`);
+  }
+  
+  if (!VISIBILITIES.includes(visibility)) {
+    return invalidQuery(res, `Unknown visibility "${visibility}", use one of: ${VISIBILITIES.join(', ')}`);
+  }
+  
+  // A cursor only resumes the order it was made for
+  const after = cursor ? decodeRepoCursor(cursor, sort) : null;
+  if (cursor && !after) {
+    return res.status(400).json({ error: 'Invalid or outdated cursor', code: 'INVALID_CURSOR' });
+  }
+  
   try {
-    const token = await GitHubAuth.getInstallationToken(req.installationId);
+    const installations = getSessionInstallations(req.session);
+    const installationIds = getRequestedInstallation(req) ? [req.installationId] : req.installationIds;
+    const refresh = req.query.refresh === 'true';
     
-    let allRepos = [];
-    let page = 1;
-    const perPage = 100;
+    const results = await Promise.allSettled(installationIds.map(installationId => {
+      return fetchInstallationRepos(installationId, installations[installationId], refresh);
+    }));
     
-    // Handle pagination
-    while (true) {
-      const response = await axios.get(
-        `https://api.github.com/installation/repositories?per_page=${perPage}&page=${page}`,
-        {
-          headers: {
-            'Accept': 'application/vnd.github+json',
-            'Authorization': `Bearer ${token}`,
-            'X-GitHub-Api-Version': '2022-11-28'
-          }
-        }
-      );
-      
-      const repos = response.data.repositories.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        owner: repo.owner.login,
-        private: repo.private,
-        default_branch: repo.default_branch,
-        description: repo.description,
-        updated_at: repo.updated_at
-      }));
-      
-      allRepos = allRepos.concat(repos);
-      
-      // Check if there are more pages
-      const linkHeader = response.headers.link;
-      if (!linkHeader || !linkHeader.includes('rel="next"')) {
-        break;
+    const repositories = [];
+    const errors = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        repositories.push(...result.value);
+        return;
       }
-      page++;
-    }
-    
-    res.json({ 
-      repositories: allRepos,
-      count: allRepos.length
+      
+      const error = result.reason;
+      console.error(`Error fetching repositories for installation ${installationIds[index]}:`, error.response?.data || error.message);
+      errors.push({
+        installationId: installationIds[index],
+        account: installations[installationIds[index]]?.account,
+        error: error.response?.status === 401
+          ? 'GitHub App installation token expired or invalid'
+          : 'Failed to fetch repositories'
+      });
     });
-  } catch (error) {
-    console.error('Error fetching repositories:', error.response?.data || error.message);
     
-    if (error.response?.status === 401) {
-      return res.status(401).json({ 
-        error: 'GitHub App installation token expired or invalid',
-        code: 'TOKEN_EXPIRED'
+    // One unreachable installation shouldn't hide the others' repositories
+    if (errors.length === installationIds.length) {
+      const unauthorized = results.every(result => result.reason.response?.status === 401);
+      return res.status(unauthorized ? 401 : 500).json({
+        error: unauthorized ? 'GitHub App installation token expired or invalid' : 'Failed to fetch repositories',
+        code: unauthorized ? 'TOKEN_EXPIRED' : undefined,
+        errors
       });
     }
     
-    res.status(500).json({ 
-      error: 'Failed to fetch repositories',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    const search = String(q).trim().toLowerCase();
+    const { compare, position } = REPO_SORTS[sort];
+    const matching = repositories
+      .filter(repo => visibility === 'all' || repo.private === (visibility === 'private'))
+      .filter(repo => !search ||
+        repo.full_name.toLowerCase().includes(search) ||
+        (repo.description || '').toLowerCase().includes(search))
+      .sort(compare);
+    
+    // Resume after the last repository of the previous page, wherever it has
+    // moved since; repositories added in between don't shift the pages
+    const remaining = after ? matching.filter(repo => compare(repo, after) > 0) : matching;
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE);
+    const page = remaining.slice(0, limit);
+    
+    revalidateOnUse(res);
+    res.json({
+      repositories: page,
+      count: page.length,
+      total: matching.length,
+      nextCursor: remaining.length > limit
+        ? encodeCursor({ sort, position: position(page[page.length - 1]) })
+        : null,
+      installations: installationIds.map(installationId => ({
+        id: installationId,
+        account: installations[installationId]?.account
+      })),
+      errors
     });
+  } catch (error) {
+    console.error('Error listing repositories:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to fetch repositories' });
   }
 });
 
-// Get branches for a specific repository
-router.get('/:owner/:repo/branches', requireInstallation, async (req, res) => {
-  try {
-    const { owner, repo } = req.params;
-    const token = await GitHubAuth.getInstallationToken(req.installationId);
-    
-    const response = await axios.get(
-      `https://api.github.com/repos/${owner}/${repo}/branches`,
+// Every branch of a repository. Branch lists aren't kept fresh by webhooks,
+// so the cached pages are always revalidated; unchanged ones cost nothing.
+async function fetchBranches(installationId, repoConfig, token) {
+  const scope = `branches/${repoConfig.owner}/${repoConfig.repo}`;
+  const cached = repoCache.get(installationId, scope);
+  
+  const pages = await fetchAllPages(
+    `https://api.github.com/repos/${repoConfig.owner}/${repoConfig.repo}/branches`,
+    token,
+    {
+      previous: cached?.pages,
+      map: branch => ({
+        name: branch.name,
+        protected: branch.protected,
+        // The protection summary stands in when the full rules can't be read
+        protection: branch.protection,
+        commit_sha: branch.commit.sha,
+        commit_url: branch.commit.url
+      })
+    }
+  );
+  
+  repoCache.set(installationId, pages, scope);
+  return pages.flatMap(page => page.items);
+}
+
+// What both branch routes need: the repository, its branches with the
+// default one first, and what the installation may do there
+async function loadBranchContext(req) {
+  const { owner, repo } = req.params;
+  const repoConfig = { owner, repo };
+  const token = await GitHubAuth.getInstallationToken(req.installationId);
+  
+  const [repoResponse, branches, withRulesets] = await Promise.all([
+    axios.get(
+      `https://api.github.com/repos/${owner}/${repo}`,
       {
         headers: {
           'Accept': 'application/vnd.github+json',
@@ -95,29 +213,142 @@ router.get('/:owner/:repo/branches', requireInstallation, async (req, res) => {
           'X-GitHub-Api-Version': '2022-11-28'
         }
       }
-    );
+    ),
+    fetchBranches(req.installationId, repoConfig, token),
+    // Without the ruleset list every branch would need its own rules lookup
+    hasBranchRulesets(repoConfig, token).catch(error => {
+      console.error('Error fetching rulesets:', error.response?.data || error.message);
+      return false;
+    })
+  ]);
+  
+  const defaultBranch = repoResponse.data.default_branch;
+  
+  return {
+    repoConfig,
+    token,
+    withRulesets,
+    defaultBranch,
+    repoAccess: await getRepoAccess(req.installationId, repoResponse.data),
+    branches: [
+      ...branches.filter(branch => branch.name === defaultBranch),
+      ...branches.filter(branch => branch.name !== defaultBranch)
+    ]
+  };
+}
+
+// Access is only worked out for the branches actually returned, since it can
+// take a few requests per branch
+function describeBranches(context, branches) {
+  return Promise.all(branches.map(async branch => ({
+    name: branch.name,
+    protected: branch.protected,
+    commit_sha: branch.commit_sha,
+    commit_url: branch.commit_url,
+    access: await getBranchAccess(context.repoConfig, context.token, branch, context.repoAccess, {
+      withRulesets: context.withRulesets
+    })
+  })));
+}
+
+function sendBranchError(req, res, error) {
+  console.error('Error fetching branches:', error.response?.data || error.message);
+  
+  if (error.response?.status === 404) {
+    return res.status(404).json({ 
+      error: `Repository ${req.params.owner}/${req.params.repo} not found or access denied`
+    });
+  }
+  
+  res.status(500).json({ 
+    error: 'Failed to fetch branches',
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+// Get branches for a specific repository a page at a time, the default branch
+// first, each saying whether an upload may commit to it directly or has to go
+// through a pull request. Takes limit and cursor like the repository list.
+router.get('/:owner/:repo/branches', requireInstallation, async (req, res) => {
+  const after = req.query.cursor ? decodeBranchCursor(req.query.cursor) : null;
+  if (req.query.cursor && !after) {
+    return res.status(400).json({ error: 'Invalid or outdated cursor', code: 'INVALID_CURSOR' });
+  }
+  
+  try {
+    const context = await loadBranchContext(req);
     
-    const branches = response.data.map(branch => ({
-      name: branch.name,
-      protected: branch.protected,
-      commit_sha: branch.commit.sha,
-      commit_url: branch.commit.url
-    }));
+    // Resume after the branch that ended the previous page, or at the same
+    // offset if it has been deleted since
+    let start = 0;
+    if (after) {
+      const index = context.branches.findIndex(branch => branch.name === after.name);
+      start = index === -1 ? after.offset : index + 1;
+    }
+    
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE);
+    const page = context.branches.slice(start, start + limit);
+    const end = start + page.length;
     
-    res.json({ branches });
+    revalidateOnUse(res);
+    res.json({
+      branches: await describeBranches(context, page),
+      count: page.length,
+      total: context.branches.length,
+      nextCursor: end < context.branches.length
+        ? encodeCursor({ name: page[page.length - 1].name, offset: end })
+        : null,
+      default_branch: context.defaultBranch,
+      access: context.repoAccess
+    });
   } catch (error) {
-    console.error('Error fetching branches:', error.response?.data || error.message);
+    sendBranchError(req, res, error);
+  }
+});
+
+// Branches whose name contains ?q=, best matches first: the exact name, then
+// names starting with it, then names with a path segment starting with it
+function rankBranch(name, search) {
+  const lower = name.toLowerCase();
+  if (lower === search) {
+    return 0;
+  }
+  if (lower.startsWith(search)) {
+    return 1;
+  }
+  if (lower.split('/').some(segment => segment.startsWith(search))) {
+    return 2;
+  }
+  return lower.includes(search) ? 3 : null;
+}
+
+router.get('/:owner/:repo/branches/search', requireInstallation, async (req, res) => {
+  const search = String(req.query.q || '').trim().toLowerCase();
+  if (!search) {
+    return invalidQuery(res, 'Missing q parameter');
+  }
+  
+  try {
+    const context = await loadBranchContext(req);
     
-    if (error.response?.status === 404) {
-      return res.status(404).json({ 
-        error: `Repository ${req.params.owner}/${req.params.repo} not found or access denied`
-      });
-    }
+    const matches = context.branches
+      .map((branch, index) => ({ branch, index, rank: rankBranch(branch.name, search) }))
+      .filter(match => match.rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(match => match.branch);
     
-    res.status(500).json({ 
-      error: 'Failed to fetch branches',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    const page = matches.slice(0, parseLimit(req.query.limit, DEFAULT_SEARCH_RESULTS));
+    
+    revalidateOnUse(res);
+    res.json({
+      branches: await describeBranches(context, page),
+      count: page.length,
+      total: matches.length,
+      default_branch: context.defaultBranch,
+      access: context.repoAccess
     });
+  } catch (error) {
+    sendBranchError(req, res, error);
   }
 });
 
@@ -148,7 +379,9 @@ router.get('/:owner/:repo', requireInstallation, async (req, res) => {
       description: response.data.description,
       size: response.data.size,
       language: response.data.language,
-      permissions: response.data.permissions
+      archived: response.data.archived,
+      permissions: response.data.permissions,
+      access: await getRepoAccess(req.installationId, response.data)
     });
   } catch (error) {
     console.error('Error fetching repository:', error);
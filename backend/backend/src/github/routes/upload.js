@@ -1,153 +1,532 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import express from 'express';
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import GitHubAuth from '../github/auth.js';
+import GITHUB_CONFIG from '../utils/github.js';
 import uploadQueue from '../services/uploadQueue.js';
-import { extractZip, cleanupTemp } from '../utils/zipExtractor.js';
-import { sanitizePath, isValidPath } from '../utils/pathSanitizer.js';
+import sessionStore from '../services/sessionStore.js';
+import sessionEvents from '../services/sessionEvents.js';
+import uploadPolicy from '../services/uploadPolicy.js';
+import { requireInstallation } from '../github/installations.js';
+import { buildUploadPreview, planSessionRun } from '../services/uploadPreview.js';
+import { cleanupTemp, createExtractDir, getExtractionLimits, limitError } from '../utils/zipExtractor.js';
+import { extractArchive, SUPPORTED_ARCHIVE_EXTENSIONS } from '../utils/archiveExtractor.js';
+import { scanFileSystem, validateFileList } from '../utils/fileScanner.js';
+import { sanitizePath } from '../utils/pathSanitizer.js';
+import { branchExists, isValidBranchName } from '../utils/gitData.js';
 
 const router = express.Router();
 
+// Completion promise of each session run in progress, so a cancel request
+// can wait for in-flight jobs to settle before reporting what was committed
+const activeRuns = new Map();
+
 // Configure multer for file upload
 const upload = multer({
-  storage: multer.memoryStorage(),
+  // Archives go to disk and are extracted from there, never held in memory
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const incomingDir = path.join(process.env.TEMP_UPLOAD_DIR || './temp_uploads', 'incoming');
+      fs.mkdir(incomingDir, { recursive: true }).then(() => cb(null, incomingDir), cb);
+    }
+  }),
   limits: {
     fileSize: parseInt(process.env.MAX_UPLOAD_SIZE) || 100 * 1024 * 1024
   },
   fileFilter: (req, file, cb) => {
-    // Allow ZIP files and any other files (for folder uploads)
+    // A first filter only: the archive format is detected from its content
+    // after upload, whatever the browser claims it is
     const allowedMimeTypes = [
       'application/zip',
       'application/x-zip-compressed',
-      'multipart/x-zip'
+      'multipart/x-zip',
+      'application/x-tar',
+      'application/gzip',
+      'application/x-gzip',
+      'application/x-compressed-tar',
+      'application/x-bzip2',
+      'application/x-bzip-compressed-tar'
     ];
+    const name = file.originalname.toLowerCase();
     
-    if (file.mimetype === 'application/octet-stream' && file.originalname.endsWith('.zip')) {
+    if (SUPPORTED_ARCHIVE_EXTENSIONS.some(ext => name.endsWith(ext))) {
       return cb(null, true);
     }
     
     if (allowedMimeTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only ZIP files are allowed.'));
+      cb(new Error('Invalid file type. Only ZIP, tar, tar.gz and tar.bz2 archives are allowed.'));
     }
   }
 });
 
-// Middleware to require installation
-const requireInstallation = (req, res, next) => {
-  if (!req.session.installationId) {
-    return res.status(401).json({ 
-      error: 'GitHub App not installed. Please install the app first.',
-      code: 'NOT_INSTALLED'
+// Multipart framing adds a little to the files' own bytes
+const FORM_OVERHEAD = 1024 * 1024;
+
+function totalSizeError(maxTotalSize) {
+  return limitError(`Total size exceeds limit of ${maxTotalSize / 1024 / 1024}MB`);
+}
+
+// Writes folder upload files straight into the session's temp directory,
+// counting the request's bytes as they arrive so an upload over the total
+// size limit is stopped there rather than checked once it is all on disk
+const folderStorage = {
+  _handleFile(req, file, cb) {
+    if (!req.folderUpload) {
+      req.folderUpload = createExtractDir();
+      req.folderBytes = 0;
+    }
+    
+    const { maxTotalSize } = getExtractionLimits();
+    const destination = req.folderUpload.extractDir;
+    const filename = crypto.randomBytes(16).toString('hex');
+    const filePath = path.join(destination, filename);
+    let size = 0;
+    
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        req.folderBytes += chunk.length;
+        done(req.folderBytes > maxTotalSize ? totalSizeError(maxTotalSize) : null, chunk);
+      }
     });
+    
+    fs.mkdir(destination, { recursive: true })
+      .then(() => pipeline(file.stream, counter, createWriteStream(filePath)))
+      .then(() => cb(null, { destination, filename, path: filePath, size }), cb);
+  },
+  
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }).then(() => cb(null), cb);
   }
-  req.installationId = req.session.installationId;
-  next();
 };
 
+// Folder uploads keep each file's relative path as its name (preservePath)
+// so the folder structure survives
+const folderUpload = multer({
+  storage: folderStorage,
+  preservePath: true,
+  limits: {
+    fileSize: GITHUB_CONFIG.MAX_FILE_SIZE,
+    files: GITHUB_CONFIG.MAX_FILES_PER_UPLOAD
+  }
+});
+
+// Runs the folder upload and, if multer rejects it part way, removes what
+// was already written instead of leaving it for the next restart
+const receiveFolder = (req, res, next) => {
+  // A body announced as too large is turned away before anything is written
+  const { maxTotalSize } = getExtractionLimits();
+  if (parseInt(req.get('Content-Length')) > maxTotalSize + FORM_OVERHEAD) {
+    const error = totalSizeError(maxTotalSize);
+    return res.status(413).json({ error: error.message, code: error.code });
+  }
+  
+  folderUpload.array('files')(req, res, async (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    if (req.folderUpload) {
+      await cleanupTemp(req.folderUpload.tempId);
+    }
+    
+    const tooLarge = error.status === 413 || error.code === 'LIMIT_FILE_SIZE' || error.code === 'LIMIT_FILE_COUNT';
+    res.status(tooLarge ? 413 : 400).json({ error: error.message, code: error.code });
+  });
+};
+
+// Sessions are reachable from every installation of the user's session,
+// not only the one the request names
+function ownsSession(req, session) {
+  return req.installationIds.includes(String(session.config.installationId));
+}
+
+// Upload every changed file that has no blob yet, then make the single
+// commit. Runs in the background; per-file state is kept on the session so
+// a failed run can be retried for just the files that did not make it.
+function runSession(sessionId, session, { changedFiles, deletions }) {
+  const toUpload = changedFiles.filter(file => file.status !== 'done');
+  const alreadyUploaded = changedFiles.filter(file => file.status === 'done');
+  
+  session.error = null;
+  toUpload.forEach(file => {
+    file.status = 'pending';
+    file.error = null;
+  });
+  
+  // The event bus counts completed/failed/skipped live from queue events
+  session.stats.completed = alreadyUploaded.length;
+  session.stats.failed = 0;
+  session.stats.skipped = 0;
+  sessionEvents.startRun(sessionId, session.stats, session.config.installationId);
+  // Registered before any job is queued so a cancel always has a run to abort
+  uploadQueue.getSessionSignal(sessionId);
+  
+  // Create one blob per file; the branch is only touched by the single
+  // commit made after every blob succeeded
+  const uploadPromises = toUpload.map((file, index) => {
+    return uploadQueue.addUploadJob({
+      path: file.path,
+      fullPath: file.fullPath,
+      mode: file.mode,
+      encoding: 'base64',
+      priority: index,
+      onStart: () => {
+        file.status = 'uploading';
+      }
+    }, session.config, sessionId).then(entry => {
+      file.status = 'done';
+      file.blobSha = entry.sha;
+      return entry;
+    }, error => {
+      // Cancelled files were never attempted to completion, not failed
+      if (error.code === 'ERR_CANCELED') {
+        file.status = 'pending';
+      } else {
+        file.status = 'failed';
+        file.error = error.response?.data?.message || error.message;
+      }
+      throw error;
+    });
+  });
+  
+  session.unchanged.forEach(filePath => {
+    uploadQueue.reportSkipped(sessionId, filePath, 'skipped-unchanged');
+  });
+  
+  // Commit and cleanup after completion
+  const completion = Promise.allSettled(uploadPromises).then(async (results) => {
+    const failed = results.filter(result => result.status === 'rejected');
+    
+    try {
+      if (session.status === 'cancelled') {
+        // The branch is left as it was, the cancel request reports the rest
+        return;
+      } else if (failed.length > 0) {
+        session.status = 'failed';
+        session.error = `${failed.length} file(s) failed to upload. Branch ${session.config.branch} was not modified.`;
+      } else if (changedFiles.length === 0 && deletions.length === 0) {
+        session.status = 'completed';
+        session.message = `All files are identical to ${session.config.branch}, nothing to commit`;
+      } else {
+        // Parent the commit on the tree we compared against; if the branch
+        // moved meanwhile the non-forced ref update fails instead of
+        // silently reverting someone else's change to an "unchanged" file
+        const treeEntries = [
+          ...results.map(result => result.value),
+          ...alreadyUploaded.map(file => ({
+            path: file.path,
+            mode: file.mode || '100644',
+            type: 'blob',
+            sha: file.blobSha
+          })),
+          // A null sha removes the path from the base tree
+          ...deletions.map(deletion => ({
+            path: deletion.path,
+            mode: deletion.mode,
+            type: 'blob',
+            sha: null
+          }))
+        ];
+        session.commit = await uploadQueue.commitSession(treeEntries, session.config, sessionId, session.baseCommit);
+        
+        session.status = 'completed';
+        
+        if (session.config.pullRequest) {
+          try {
+            session.pullRequest = await uploadQueue.openPullRequest(session.config, sessionId);
+          } catch (error) {
+            // The commit is on the new branch, only the PR is missing
+            console.error('Pull request error:', error.response?.data || error.message);
+            session.error = `Files were committed to ${session.config.branch} but the pull request could not be opened: ${error.message}`;
+          }
+        }
+      }
+    } catch (error) {
+      if (session.status !== 'cancelled') {
+        console.error('Upload commit error:', error.response?.data || error.message);
+        session.status = 'failed';
+        session.error = `Failed to commit to ${session.config.branch}: ${error.message}`;
+      }
+    } finally {
+      uploadQueue.releaseSession(sessionId);
+      activeRuns.delete(sessionId);
+      
+      // Failed sessions keep their files around for a retry
+      if ((session.status === 'completed' || session.status === 'cancelled') && session.tempId) {
+        await cleanupTemp(session.tempId);
+      }
+      session.completedAt = new Date().toISOString();
+      await sessionStore.save(sessionId, session).catch(error => {
+        console.error('Failed to save upload session:', error.message);
+      });
+      
+      sessionEvents.completeSession(sessionId, {
+        status: session.status,
+        commit: session.commit,
+        pullRequest: session.pullRequest,
+        message: session.message,
+        error: session.error,
+        failedFiles: session.files
+          .filter(file => file.status === 'failed')
+          .map(file => ({ path: file.path, error: file.error })),
+        completedAt: session.completedAt
+      });
+    }
+  });
+  activeRuns.set(sessionId, completion);
+  
+  return { uploadCount: toUpload.length };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Validates the target repository and branch fields shared by every way of
+// starting a session and turns them into the session config
+async function buildSessionConfig(req) {
+  const {
+    owner,
+    repo,
+    branch,
+    basePath = '',
+    commitMessage = 'Upload files',
+    newBranch,
+    prTitle,
+    prBody = '',
+    mirror,
+    maxDeletions
+  } = req.body;
+  
+  // Validate required fields
+  if (!owner || !repo) {
+    throw httpError(400, 'Owner and repository name are required');
+  }
+  
+  // Validate branch
+  const targetBranch = branch || 'main';
+  
+  // Mirror mode deletes files; a session may lower the global cap, never raise it
+  const mirrorMode = mirror === true || mirror === 'true';
+  const deletionLimit = Math.min(
+    parseInt(maxDeletions) || GITHUB_CONFIG.MAX_MIRROR_DELETIONS,
+    GITHUB_CONFIG.MAX_MIRROR_DELETIONS
+  );
+  
+  if (newBranch && !isValidBranchName(newBranch)) {
+    throw httpError(400, `Invalid branch name: ${newBranch}`);
+  }
+  
+  // Get installation token
+  const installationToken = await GitHubAuth.getInstallationToken(req.installationId);
+  
+  // Uploading to a new branch: it must not exist yet, the PR targets `branch`
+  if (newBranch && await branchExists({ owner, repo }, installationToken, newBranch)) {
+    throw httpError(409, `Branch ${newBranch} already exists`);
+  }
+  
+  // Read from the existing branch; a new branch starts as a copy of it
+  const policy = await uploadPolicy.resolve(req.installationId, { owner, repo }, targetBranch, installationToken);
+  
+  return {
+    owner,
+    repo,
+    branch: newBranch || targetBranch,
+    baseBranch: newBranch ? targetBranch : null,
+    pullRequest: newBranch ? {
+      title: prTitle || commitMessage,
+      body: prBody
+    } : null,
+    // Sanitized once here: upload paths and mirror deletions must agree on
+    // the directory, or mirror mode would delete everything actually in it
+    basePath: sanitizePath(basePath),
+    commitMessage,
+    mirror: mirrorMode,
+    maxDeletions: mirrorMode ? deletionLimit : 0,
+    policy,
+    // No token here: jobs fetch a fresh one when they run
+    installationId: req.installationId
+  };
+}
+
+// Saves a pending session for files already on disk under `tempId` and
+// returns the response for the client
+async function createUploadSession(config, { files, skipped: scanSkipped, tempId }) {
+  // Paths were already checked while extracting or scanning; what is left
+  // only has to pass the upload policy
+  let allowed;
+  let skipped;
+  try {
+    const result = uploadPolicy.apply(files, config.policy);
+    allowed = result.allowed;
+    skipped = [...scanSkipped, ...result.skipped];
+  } catch (error) {
+    error.tempId = tempId;
+    throw error;
+  }
+  
+  if (allowed.length === 0) {
+    await cleanupTemp(tempId);
+    const error = httpError(400, files.length > 0
+      ? 'Every file in the upload is excluded by the upload policy'
+      : 'No valid files found in upload');
+    // Tells the user why, since nothing else will be shown
+    error.skipped = skipped;
+    throw error;
+  }
+  
+  // Create upload session
+  const sessionId = uuidv4();
+  
+  await sessionStore.save(sessionId, {
+    files: allowed.map(f => ({ ...f, status: 'pending' })),
+    skipped,
+    // Everything the upload contained, used by mirror mode to decide deletions
+    archivePaths: [...files, ...scanSkipped].map(f => f.path),
+    config,
+    tempId,
+    startedAt: new Date().toISOString(),
+    status: 'pending',
+    stats: {
+      total: allowed.length,
+      completed: 0,
+      failed: 0,
+      skipped: 0
+    }
+  });
+  
+  return {
+    success: true,
+    sessionId,
+    fileCount: allowed.length,
+    totalSize: allowed.reduce((sum, file) => sum + file.size, 0),
+    files: allowed.map(f => ({
+      path: f.path,
+      size: f.size,
+      type: 'file'
+    })),
+    skipped
+  };
+}
+
+function sendStartError(res, error) {
+  const status = error.status || 500;
+  const message = error.message || 'Failed to process upload';
+  
+  res.status(status).json({ 
+    error: message,
+    skipped: error.skipped,
+    details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+  });
+}
+
 // Start upload session
 router.post('/start', requireInstallation, upload.single('file'), async (req, res) => {
   try {
-    const { owner, repo, branch, basePath = '', commitMessage = 'Upload files' } = req.body;
-    const file = req.file;
+    const config = await buildSessionConfig(req);
     
-    // Validate required fields
-    if (!owner || !repo) {
-      return res.status(400).json({ error: 'Owner and repository name are required' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
     }
     
-    if (!file) {
-      return res.status(400).json({ error: 'No file provided' });
+    // Extract the archive; unsupported formats are refused with a 400
+    const result = await extractArchive(req.file.path, config.basePath);
+    
+    res.json(await createUploadSession(config, result));
+    
+  } catch (error) {
+    console.error('Upload start error:', error);
+    
+    // Clean up temp files if they exist
+    if (error.tempId) {
+      await cleanupTemp(error.tempId);
     }
     
-    // Validate branch
-    const targetBranch = branch || 'main';
+    sendStartError(res, error);
+  } finally {
+    // The archive itself is not needed once extracted
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+// Start upload session from a folder sent file by file, without an archive
+router.post('/start-folder', requireInstallation, receiveFolder, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
     
-    // Get installation token
-    const installationToken = await GitHubAuth.getInstallationToken(req.installationId);
+    const config = await buildSessionConfig(req);
     
-    let files = [];
-    let tempId = null;
+    const limits = getExtractionLimits();
+    validateFileList(req.files, limits.maxFiles, limits.maxTotalSize);
     
-    // Process ZIP file
-    if (file.originalname.endsWith('.zip') || file.mimetype.includes('zip')) {
-      const result = await extractZip(file.buffer, basePath);
-      files = result.files;
-      tempId = result.tempId;
-    } else {
-      // Single file upload (though this route should only accept ZIPs for folders)
-      return res.status(400).json({ 
-        error: 'Only ZIP files are accepted for folder uploads. Use single file upload endpoint for individual files.' 
-      });
+    const result = await scanFileSystem(req.files.map(file => ({
+      name: path.posix.basename(file.originalname),
+      webkitRelativePath: file.originalname,
+      size: file.size,
+      fullPath: file.path
+    })), config.basePath);
+    
+    res.json(await createUploadSession(config, {
+      ...result,
+      tempId: req.folderUpload.tempId
+    }));
+    
+  } catch (error) {
+    console.error('Folder upload start error:', error);
+    
+    if (req.folderUpload) {
+      await cleanupTemp(req.folderUpload.tempId);
     }
     
-    // Validate all file paths
-    const validFiles = files.filter(file => {
-      if (!isValidPath(file.path)) {
-        console.warn(`Skipping invalid path: ${file.path}`);
-        return false;
-      }
-      return true;
-    });
+    sendStartError(res, error);
+  }
+});
+
+// Preview what executing the session would change on the target branch
+router.get('/preview/:sessionId', requireInstallation, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionStore.get(sessionId);
     
-    if (validFiles.length === 0) {
-      return res.status(400).json({ error: 'No valid files found in upload' });
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
     }
     
-    // Create upload session
-    const sessionId = uuidv4();
+    if (!ownsSession(req, session)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    // Store session data (in production, use Redis or database)
-    req.app.locals.sessions = req.app.locals.sessions || new Map();
-    req.app.locals.sessions.set(sessionId, {
-      files: validFiles,
-      config: {
-        owner,
-        repo,
-        branch: targetBranch,
-        basePath,
-        commitMessage,
-        installationToken,
-        installationId: req.installationId
-      },
-      tempId,
-      startedAt: new Date().toISOString(),
-      status: 'pending',
-      stats: {
-        total: validFiles.length,
-        completed: 0,
-        failed: 0
-      }
-    });
+    const token = await GitHubAuth.getInstallationToken(session.config.installationId);
+    const preview = await buildUploadPreview(session, token);
     
     res.json({
-      success: true,
       sessionId,
-      fileCount: validFiles.length,
-      totalSize: validFiles.reduce((sum, file) => sum + file.size, 0),
-      files: validFiles.map(f => ({
-        path: f.path,
-        size: f.size,
-        type: 'file'
-      }))
+      ...preview
     });
     
   } catch (error) {
-    console.error('Upload start error:', error);
+    console.error('Upload preview error:', error.response?.data || error.message);
     
-    // Clean up temp files if they exist
-    if (error.tempId) {
-      await cleanupTemp(error.tempId);
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Target branch not found' });
     }
     
-    const status = error.status || 500;
-    const message = error.message || 'Failed to process upload';
-    
-    res.status(status).json({ 
-      error: message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    res.status(500).json({ error: 'Failed to build upload preview' });
   }
 });
 
@@ -155,117 +534,227 @@ router.post('/start', requireInstallation, upload.single('file'), async (req, re
 router.post('/execute/:sessionId', requireInstallation, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessions = req.app.locals.sessions;
+    const session = await sessionStore.get(sessionId);
     
-    if (!sessions || !sessions.has(sessionId)) {
+    if (!session) {
       return res.status(404).json({ error: 'Upload session not found' });
     }
     
-    const session = sessions.get(sessionId);
-    
-    // Validate session belongs to current installation
-    if (session.config.installationId !== req.installationId) {
+    // Validate session belongs to one of the user's installations
+    if (!ownsSession(req, session)) {
       return res.status(403).json({ error: 'Access denied to this upload session' });
     }
     
+    // A session interrupted by a restart never reached its commit, so it
+    // can simply run again from the start
+    if (session.status !== 'pending' && session.status !== 'interrupted') {
+      return res.status(409).json({ error: `Upload session is already ${session.status}` });
+    }
+    const previousStatus = session.status;
+    
+    // Entries deselected in the preview are dropped from the session once
+    // the run is planned; in mirror mode a selection of deletions only is
+    // still a change
+    const { selectedPaths } = req.body;
+    if (Array.isArray(selectedPaths) && !session.config.mirror) {
+      const selected = new Set(selectedPaths);
+      if (!session.files.some(file => selected.has(file.path))) {
+        return res.status(400).json({ error: 'No files selected for upload' });
+      }
+    }
+    
     // Update session status
     session.status = 'uploading';
     
-    // Add all files to upload queue
-    const uploadPromises = session.files.map((file, index) => {
-      return uploadQueue.addUploadJob({
-        path: file.path,
-        content: file.content,
-        encoding: 'base64',
-        message: session.config.commitMessage || `Add ${file.path}`,
-        priority: index
-      }, session.config, sessionId);
-    });
+    let plan;
+    try {
+      const token = await GitHubAuth.getInstallationToken(session.config.installationId);
+      plan = await planSessionRun(session, token, selectedPaths);
+    } catch (error) {
+      session.status = previousStatus;
+      if (error.code === 'MIRROR_LIMIT') {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+    
+    const run = runSession(sessionId, session, plan);
+    await sessionStore.save(sessionId, session);
     
     res.json({
       success: true,
       sessionId,
-      message: `Started uploading ${session.files.length} files`,
+      message: `Started uploading ${run.uploadCount} files`,
+      skippedUnchanged: session.unchanged.length,
+      deletions: plan.deletions.length,
       queueSize: uploadQueue.getQueueSize()
     });
     
-    // Cleanup after completion
-    Promise.allSettled(uploadPromises).then(async () => {
-      if (session.tempId) {
-        await cleanupTemp(session.tempId);
+  } catch (error) {
+    console.error('Upload execute error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry only the files of a session that failed or never ran
+router.post('/retry/:sessionId', requireInstallation, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionStore.get(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    if (!ownsSession(req, session)) {
+      return res.status(403).json({ error: 'Access denied to this upload session' });
+    }
+    
+    if (session.status !== 'failed' && session.status !== 'interrupted') {
+      return res.status(409).json({ error: `Only failed or interrupted sessions can be retried, this one is ${session.status}` });
+    }
+    const previousStatus = session.status;
+    
+    session.status = 'uploading';
+    
+    let plan;
+    try {
+      const token = await GitHubAuth.getInstallationToken(session.config.installationId);
+      plan = await planSessionRun(session, token);
+    } catch (error) {
+      session.status = previousStatus;
+      if (error.code === 'MIRROR_LIMIT') {
+        return res.status(400).json({ error: error.message, code: error.code });
       }
-      session.status = 'completed';
-      session.completedAt = new Date().toISOString();
+      throw error;
+    }
+    
+    const run = runSession(sessionId, session, plan);
+    await sessionStore.save(sessionId, session);
+    
+    res.json({
+      success: true,
+      sessionId,
+      message: `Retrying ${run.uploadCount} files`,
+      retryCount: run.uploadCount,
+      queueSize: uploadQueue.getQueueSize()
     });
     
   } catch (error) {
-    console.error('Upload execute error:', error);
+    console.error('Upload retry error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get upload status
-router.get('/status/:sessionId', requireInstallation, (req, res) => {
-  const { sessionId } = req.params;
-  const sessions = req.app.locals.sessions;
-  
-  if (!sessions || !sessions.has(sessionId)) {
-    return res.status(404).json({ error: 'Upload session not found' });
-  }
-  
-  const session = sessions.get(sessionId);
-  
-  // Check access
-  if (session.config.installationId !== req.installationId) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
-  
-  const queueStats = uploadQueue.getStats();
-  const sessionStats = session.stats;
-  
-  const progress = sessionStats.total > 0 
-    ? ((sessionStats.completed + sessionStats.failed) / sessionStats.total) * 100 
-    : 0;
-  
-  res.json({
-    sessionId,
-    status: session.status,
-    progress: Math.min(progress, 100),
-    stats: {
-      ...sessionStats,
-      queue: queueStats
-    },
-    startedAt: session.startedAt,
-    completedAt: session.completedAt,
-    config: {
-      owner: session.config.owner,
-      repo: session.config.repo,
-      branch: session.config.branch,
-      fileCount: session.files.length
+router.get('/status/:sessionId', requireInstallation, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionStore.get(sessionId);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
     }
-  });
+    
+    // Check access
+    if (!ownsSession(req, session)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Other installations' queues are none of this user's business
+    const { tenants, ...queueStats } = uploadQueue.getStats();
+    queueStats.installation = tenants[session.config.installationId] || { queued: 0, running: 0, heldUntil: null, sessions: {} };
+    queueStats.rateLimit = uploadQueue.getRateLimit(session.config.installationId);
+    const sessionStats = session.stats;
+    
+    const progress = sessionStats.total > 0 
+      ? ((sessionStats.completed + sessionStats.failed + (sessionStats.skipped || 0)) / sessionStats.total) * 100 
+      : 0;
+    
+    res.json({
+      sessionId,
+      status: session.status,
+      progress: Math.min(progress, 100),
+      stats: {
+        ...sessionStats,
+        queue: queueStats
+      },
+      commit: session.commit,
+      pullRequest: session.pullRequest,
+      unchanged: session.unchanged,
+      deletions: session.deletions,
+      message: session.message,
+      error: session.error,
+      startedAt: session.startedAt,
+      completedAt: session.completedAt,
+      interruptedAt: session.interruptedAt,
+      resumable: session.status === 'interrupted',
+      files: session.files.map(file => ({
+        path: file.path,
+        status: file.status,
+        error: file.error
+      })),
+      config: {
+        owner: session.config.owner,
+        repo: session.config.repo,
+        branch: session.config.branch,
+        baseBranch: session.config.baseBranch,
+        fileCount: session.files.length
+      }
+    });
+  } catch (error) {
+    console.error('Status error:', error);
+    res.status(500).json({ error: 'Failed to get upload status' });
+  }
 });
 
-// Cancel upload
+// Cancel upload. Queued jobs are dropped and in-flight requests aborted;
+// the branch only changes if the ref update had already been sent.
 router.post('/cancel/:sessionId', requireInstallation, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessions = req.app.locals.sessions;
+    const session = await sessionStore.get(sessionId);
     
-    if (!sessions || !sessions.has(sessionId)) {
+    if (!session) {
       return res.status(404).json({ error: 'Upload session not found' });
     }
     
-    const session = sessions.get(sessionId);
-    
-    if (session.config.installationId !== req.installationId) {
+    if (!ownsSession(req, session)) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
+    if (session.status === 'completed' || session.status === 'cancelled') {
+      return res.status(409).json({ error: `Upload session is already ${session.status}` });
+    }
+    
+    const abortedJobs = session.files.filter(file => {
+      return file.status === 'pending' || file.status === 'uploading';
+    }).length;
+    
     // Update session status
+    const previousStatus = session.status;
     session.status = 'cancelled';
     session.cancelledAt = new Date().toISOString();
     
+    uploadQueue.cancelSession(sessionId);
+    await activeRuns.get(sessionId);
+    
+    // A commit that beat the cancel is on the branch, so report it honestly
+    const branchUpdated = Boolean(session.commit);
+    if (branchUpdated) {
+      session.status = 'completed';
+    }
+    const committedFiles = branchUpdated
+      ? [
+          ...session.files
+            .filter(file => file.status === 'done' && !session.unchanged?.includes(file.path))
+            .map(file => file.path),
+          ...(session.deletions || [])
+        ]
+      : [];
+    
+    await sessionStore.save(sessionId, session);
+    
     // Cleanup temp files
     if (session.tempId) {
       await cleanupTemp(session.tempId);
@@ -274,7 +763,14 @@ router.post('/cancel/:sessionId', requireInstallation, async (req, res) => {
     res.json({
       success: true,
       sessionId,
-      message: 'Upload cancelled successfully'
+      previousStatus,
+      abortedJobs: branchUpdated ? 0 : abortedJobs,
+      branchUpdated,
+      commit: session.commit,
+      committedFiles,
+      message: branchUpdated
+        ? `Too late to cancel, ${committedFiles.length} files were already committed to ${session.config.branch}`
+        : `Upload cancelled, ${session.config.branch} was not modified`
     });
     
   } catch (error) {
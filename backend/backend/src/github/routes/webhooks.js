@@ -0,0 +1,42 @@
+import express from 'express';
+import { verifyWebhookSignature, handleWebhookEvent } from '../github/webhooks.js';
+
+const router = express.Router();
+
+// GitHub App webhook deliveries. The signature covers the exact bytes sent,
+// so the body is kept raw here and parsed only once it is verified; this
+// router is mounted ahead of the app-wide JSON parser for that reason.
+router.post('/github', express.raw({ type: 'application/json', limit: '5mb' }), async (req, res) => {
+  const event = req.get('X-GitHub-Event');
+  const deliveryId = req.get('X-GitHub-Delivery');
+
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(415).json({ error: 'Webhook payloads must be sent as application/json' });
+  }
+
+  if (!verifyWebhookSignature(req.body, req.get('X-Hub-Signature-256'), process.env.GITHUB_WEBHOOK_SECRET)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
+  }
+
+  try {
+    const result = await handleWebhookEvent(event, payload);
+
+    if (result.handled) {
+      console.log(`Webhook ${deliveryId}: ${event}${payload.action ? `.${payload.action}` : ''} for installation ${payload.installation?.id}`);
+    }
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error(`Webhook ${deliveryId} (${event}) error:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+export default router;
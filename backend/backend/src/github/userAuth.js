@@ -0,0 +1,187 @@
+import axios from 'axios';
+import GITHUB_CONFIG, { getGitHubHeaders } from '../utils/github.js';
+
+const OAUTH_BASE = 'https://github.com/login/oauth';
+
+// Refreshed this long before GitHub's expiry, like installation tokens
+const TOKEN_EXPIRY_MARGIN = 5 * 60 * 1000;
+
+function authError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_AUTHENTICATED';
+  error.status = 401;
+  return error;
+}
+
+function accessError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 403;
+  return error;
+}
+
+// GitHub App user-to-server tokens: who the person using the app is, and
+// which installations they may act on. Everything a signed-in user does
+// still goes through installation tokens; the user token only answers
+// "is this person allowed to use that installation".
+class GitHubUserAuth {
+  // Read per call because .env is loaded after this module is imported
+  get clientId() {
+    return process.env.GITHUB_APP_CLIENT_ID;
+  }
+
+  get redirectUri() {
+    return `${process.env.FRONTEND_URL}/auth/callback`;
+  }
+
+  getAuthorizeUrl(state) {
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      state
+    });
+    return `${OAUTH_BASE}/authorize?${params}`;
+  }
+
+  // GitHub answers token requests with 200 even when they fail, naming the
+  // problem in `error`
+  async requestToken(params) {
+    const response = await axios.post(
+      `${OAUTH_BASE}/access_token`,
+      {
+        client_id: this.clientId,
+        client_secret: process.env.GITHUB_APP_CLIENT_SECRET,
+        ...params
+      },
+      { headers: { 'Accept': 'application/json' } }
+    );
+
+    if (response.data.error) {
+      throw authError(`GitHub sign-in failed: ${response.data.error_description || response.data.error}`);
+    }
+
+    // Tokens only expire (and come with a refresh token) when the app has
+    // token expiration turned on
+    const now = Date.now();
+    return {
+      token: response.data.access_token,
+      expiresAt: response.data.expires_in
+        ? now + response.data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN
+        : null,
+      refreshToken: response.data.refresh_token || null,
+      refreshTokenExpiresAt: response.data.refresh_token_expires_in
+        ? now + response.data.refresh_token_expires_in * 1000
+        : null
+    };
+  }
+
+  async exchangeCode(code) {
+    return this.requestToken({ code, redirect_uri: this.redirectUri });
+  }
+
+  // The signed-in user's token from the session, refreshed (and stored back)
+  // when it has expired. Fails with a 401 once it can't be refreshed.
+  async getUserToken(session) {
+    const tokenSet = session.userToken;
+    if (!tokenSet) {
+      throw authError('Sign in with GitHub first');
+    }
+
+    if (!tokenSet.expiresAt || Date.now() < tokenSet.expiresAt) {
+      return tokenSet.token;
+    }
+
+    if (!tokenSet.refreshToken || Date.now() >= tokenSet.refreshTokenExpiresAt) {
+      throw authError('Your GitHub sign-in has expired, please sign in again');
+    }
+
+    session.userToken = await this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: tokenSet.refreshToken
+    });
+    return session.userToken.token;
+  }
+
+  async getUser(token) {
+    const response = await axios.get(
+      `${GITHUB_CONFIG.API_BASE}/user`,
+      { headers: getGitHubHeaders(token) }
+    );
+
+    return {
+      id: response.data.id,
+      login: response.data.login,
+      name: response.data.name,
+      avatarUrl: response.data.avatar_url
+    };
+  }
+
+  // Installations of this app the user can access, through their own
+  // account or an organization they belong to
+  async getUserInstallations(token) {
+    const installations = [];
+    let page = 1;
+
+    while (true) {
+      const response = await axios.get(
+        `${GITHUB_CONFIG.API_BASE}/user/installations`,
+        {
+          headers: getGitHubHeaders(token),
+          params: { per_page: 100, page }
+        }
+      );
+
+      installations.push(...response.data.installations.map(installation => ({
+        id: installation.id,
+        account: installation.account.login,
+        accountType: installation.account.type,
+        repositorySelection: installation.repository_selection,
+        suspended: Boolean(installation.suspended_at)
+      })));
+
+      if (installations.length >= response.data.total_count || response.data.installations.length === 0) {
+        break;
+      }
+      page++;
+    }
+
+    return installations;
+  }
+
+  // The user's installation with this id, or null when they don't belong to it
+  async findUserInstallation(session, installationId) {
+    const token = await this.getUserToken(session);
+    const installations = await this.getUserInstallations(token);
+    return installations.find(installation => String(installation.id) === String(installationId)) || null;
+  }
+
+  // The user's installation with this id, if it may be added to their
+  // session: GitHub has to list it among theirs and it must not be
+  // suspended. Every route that binds an installation checks through here.
+  async getBindableInstallation(session, installationId) {
+    const membership = await this.findUserInstallation(session, installationId);
+
+    if (!membership) {
+      throw accessError('You do not have access to this installation', 'INSTALLATION_NOT_AVAILABLE');
+    }
+
+    if (membership.suspended) {
+      throw accessError(`The installation on ${membership.account} is suspended`, 'INSTALLATION_SUSPENDED');
+    }
+
+    return membership;
+  }
+}
+
+export default new GitHubUserAuth();
+
+// Routes that act for a person need to know who that is
+export const requireUser = (req, res, next) => {
+  if (!req.session.githubUser) {
+    return res.status(401).json({
+      error: 'Sign in with GitHub first',
+      code: 'NOT_AUTHENTICATED'
+    });
+  }
+  next();
+};
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import GitHubAuth from './auth.js';
+import repoCache from '../services/repoCache.js';
+import sessionStore from '../services/sessionStore.js';
+import uploadQueue from '../services/uploadQueue.js';
+import { cleanupTemp } from '../utils/zipExtractor.js';
+
+// Sessions in these states still have work ahead of them
+const OPEN_SESSION_STATUSES = ['pending', 'uploading', 'interrupted'];
+
+// GitHub signs the raw request body with the webhook secret. Compared in
+// constant time so the signature can't be guessed byte by byte.
+export function verifyWebhookSignature(rawBody, signatureHeader, secret) {
+  if (!secret || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+  );
+  const received = Buffer.from(signatureHeader);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Stops every open session of the installation, optionally only those
+// uploading to one of `repoNames` ("owner/repo"). Running uploads are
+// aborted the same way a user's cancel does; the run itself reports the
+// outcome to its progress stream and cleans up.
+async function cancelSessions(installationId, reason, repoNames = null) {
+  const matches = await sessionStore.findSessions(session => {
+    return String(session.config.installationId) === String(installationId) &&
+      OPEN_SESSION_STATUSES.includes(session.status) &&
+      (!repoNames || repoNames.includes(`${session.config.owner}/${session.config.repo}`));
+  });
+
+  for (const { sessionId, session } of matches) {
+    const running = session.status === 'uploading';
+
+    session.status = 'cancelled';
+    session.cancelledAt = new Date().toISOString();
+    session.error = reason;
+
+    if (running) {
+      uploadQueue.cancelSession(sessionId);
+    } else if (session.tempId) {
+      await cleanupTemp(session.tempId);
+    }
+    await sessionStore.save(sessionId, session);
+  }
+
+  return matches.map(({ sessionId }) => sessionId);
+}
+
+async function handleInstallation(action, payload) {
+  const installationId = payload.installation.id;
+
+  switch (action) {
+    case 'created':
+    case 'unsuspend':
+      GitHubAuth.restoreInstallation(installationId);
+      repoCache.invalidate(installationId);
+      return { handled: true };
+
+    case 'deleted':
+    case 'suspend': {
+      GitHubAuth.revokeInstallation(installationId);
+      repoCache.invalidate(installationId);
+      const cancelled = await cancelSessions(
+        installationId,
+        action === 'deleted'
+          ? 'Cancelled because the GitHub App was uninstalled'
+          : 'Cancelled because the GitHub App installation was suspended'
+      );
+      return { handled: true, cancelledSessions: cancelled };
+    }
+
+    case 'new_permissions_accepted':
+      // Tokens carry the permissions they were issued with, and cached
+      // repositories say what those permissions allow
+      GitHubAuth.invalidateInstallationToken(installationId);
+      repoCache.invalidate(installationId);
+      return { handled: true };
+
+    default:
+      return { handled: false };
+  }
+}
+
+async function handleInstallationRepositories(action, payload) {
+  const installationId = payload.installation.id;
+
+  repoCache.invalidate(installationId);
+  GitHubAuth.invalidateInstallationToken(installationId);
+
+  if (action === 'removed') {
+    const removed = (payload.repositories_removed || []).map(repo => repo.full_name);
+    const cancelled = await cancelSessions(
+      installationId,
+      'Cancelled because the GitHub App lost access to the repository',
+      removed
+    );
+    return { handled: true, cancelledSessions: cancelled };
+  }
+
+  return { handled: action === 'added' };
+}
+
+// Applies one webhook delivery. `event` is the X-GitHub-Event header and
+// `payload` the parsed body, so recorded deliveries can be replayed as is.
+export async function handleWebhookEvent(event, payload) {
+  switch (event) {
+    case 'ping':
+      return { handled: true };
+    case 'installation':
+      return handleInstallation(payload.action, payload);
+    case 'installation_repositories':
+      return handleInstallationRepositories(payload.action, payload);
+    default:
+      return { handled: false };
+  }
+}
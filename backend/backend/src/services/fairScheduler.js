@@ -0,0 +1,279 @@
+import { EventEmitter } from 'events';
+
+function abortError() {
+  const error = new Error('This operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Runs jobs for many tenants (installations) without letting one of them
+// starve the others. Tenants take turns round-robin, and within a tenant its
+// sessions take turns, so a 1,000-file upload only delays a small one by the
+// jobs already running. Each tenant is also capped at `tenantConcurrency`
+// running jobs so it can never hold every slot, and can be put on hold on
+// its own (for example while its rate limit resets).
+class FairScheduler extends EventEmitter {
+  constructor({ concurrency = 3, tenantConcurrency = concurrency } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.tenantConcurrency = Math.min(tenantConcurrency, concurrency);
+    this.isPaused = false;
+    this.running = 0;
+    // Insertion order is the round-robin order: a tenant (or session) that
+    // just got a turn is moved to the back
+    this.tenants = new Map();
+    // Tenants that may not start jobs before `resumeAt`
+    this.holds = new Map();
+    // One abort listener per signal, however many of its tasks are queued
+    this.watchedSignals = new Map();
+  }
+
+  setConcurrency({ concurrency, tenantConcurrency = concurrency }) {
+    this.concurrency = concurrency;
+    this.tenantConcurrency = Math.min(tenantConcurrency, concurrency);
+    this.dequeue();
+  }
+
+  // Lower priority values run first within a session
+  add(fn, { tenant = 'default', session = 'default', priority = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const task = { fn, priority, resolve, reject };
+      const tasks = this.getSessionTasks(tenant, session);
+      const index = tasks.findIndex(queued => queued.priority > priority);
+      tasks.splice(index === -1 ? tasks.length : index, 0, task);
+
+      if (signal) {
+        task.signal = signal;
+        this.watchSignal(signal);
+      }
+
+      this.dequeue();
+    });
+  }
+
+  watchSignal(signal) {
+    let watch = this.watchedSignals.get(signal);
+    if (!watch) {
+      watch = { queued: 0, onAbort: () => this.dropAborted(signal) };
+      signal.addEventListener('abort', watch.onAbort, { once: true });
+      this.watchedSignals.set(signal, watch);
+    }
+    watch.queued++;
+  }
+
+  // Called once a task leaves the queue; the last one removes the listener
+  unwatchSignal(signal) {
+    const watch = this.watchedSignals.get(signal);
+    if (watch && --watch.queued === 0) {
+      signal.removeEventListener('abort', watch.onAbort);
+      this.watchedSignals.delete(signal);
+    }
+  }
+
+  // Rejects every queued task of an aborted signal
+  dropAborted(signal) {
+    this.watchedSignals.delete(signal);
+
+    for (const [tenantId, tenant] of this.tenants) {
+      for (const [sessionId, tasks] of tenant.sessions) {
+        const aborted = tasks.filter(task => task.signal === signal);
+        if (aborted.length === 0) {
+          continue;
+        }
+
+        tenant.sessions.set(sessionId, tasks.filter(task => task.signal !== signal));
+        aborted.forEach(task => task.reject(abortError()));
+        this.prune(tenantId, sessionId);
+      }
+    }
+  }
+
+  getSessionTasks(tenantId, sessionId) {
+    if (!this.tenants.has(tenantId)) {
+      this.tenants.set(tenantId, { running: 0, sessions: new Map() });
+    }
+    const tenant = this.tenants.get(tenantId);
+
+    if (!tenant.sessions.has(sessionId)) {
+      tenant.sessions.set(sessionId, []);
+    }
+    return tenant.sessions.get(sessionId);
+  }
+
+  prune(tenantId, sessionId) {
+    const tenant = this.tenants.get(tenantId);
+    if (!tenant) {
+      return;
+    }
+
+    if (tenant.sessions.get(sessionId)?.length === 0) {
+      tenant.sessions.delete(sessionId);
+    }
+    if (tenant.sessions.size === 0 && tenant.running === 0) {
+      this.tenants.delete(tenantId);
+    }
+  }
+
+  // Picks the next task from the first tenant, in turn order, that is below
+  // its cap, then sends that tenant and session to the back of the line
+  nextTask() {
+    for (const [tenantId, tenant] of this.tenants) {
+      if (
+        tenant.running >= this.tenantConcurrency ||
+        tenant.sessions.size === 0 ||
+        this.holds.has(tenantId)
+      ) {
+        continue;
+      }
+
+      const [sessionId, tasks] = tenant.sessions.entries().next().value;
+      const task = tasks.shift();
+
+      tenant.sessions.delete(sessionId);
+      if (tasks.length > 0) {
+        tenant.sessions.set(sessionId, tasks);
+      }
+      this.tenants.delete(tenantId);
+      this.tenants.set(tenantId, tenant);
+
+      return { tenantId, tenant, task };
+    }
+
+    return null;
+  }
+
+  dequeue() {
+    while (!this.isPaused && this.running < this.concurrency) {
+      const next = this.nextTask();
+      if (!next) {
+        break;
+      }
+      this.run(next);
+    }
+  }
+
+  run({ tenantId, tenant, task }) {
+    if (task.signal) {
+      this.unwatchSignal(task.signal);
+    }
+    tenant.running++;
+    this.running++;
+
+    Promise.resolve()
+      .then(task.fn)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        tenant.running--;
+        this.running--;
+
+        if (tenant.sessions.size === 0 && tenant.running === 0) {
+          this.tenants.delete(tenantId);
+        }
+
+        this.dequeue();
+        if (this.running === 0 && this.size === 0) {
+          this.emit('idle');
+        }
+      });
+  }
+
+  // Keeps the tenant from starting new jobs for `ms`; running jobs are not
+  // affected. A shorter hold never cuts an existing one short.
+  holdTenant(tenantId, ms) {
+    const resumeAt = Date.now() + ms;
+    const hold = this.holds.get(tenantId);
+    if (hold && hold.resumeAt >= resumeAt) {
+      return;
+    }
+
+    clearTimeout(hold?.timer);
+    const timer = setTimeout(() => {
+      this.holds.delete(tenantId);
+      this.dequeue();
+    }, ms);
+
+    this.holds.set(tenantId, { resumeAt, timer });
+  }
+
+  isHeld(tenantId) {
+    return this.holds.has(tenantId);
+  }
+
+  // Jobs waiting to start
+  get size() {
+    let size = 0;
+    for (const tenant of this.tenants.values()) {
+      for (const tasks of tenant.sessions.values()) {
+        size += tasks.length;
+      }
+    }
+    return size;
+  }
+
+  // Jobs currently running
+  get pending() {
+    return this.running;
+  }
+
+  getTenantStats() {
+    const stats = {};
+
+    for (const [tenantId, tenant] of this.tenants) {
+      const sessions = {};
+      let queued = 0;
+
+      for (const [sessionId, tasks] of tenant.sessions) {
+        sessions[sessionId] = tasks.length;
+        queued += tasks.length;
+      }
+
+      const hold = this.holds.get(tenantId);
+      stats[tenantId] = {
+        queued,
+        running: tenant.running,
+        heldUntil: hold ? new Date(hold.resumeAt).toISOString() : null,
+        sessions
+      };
+    }
+
+    return stats;
+  }
+
+  pause() {
+    this.isPaused = true;
+  }
+
+  start() {
+    this.isPaused = false;
+    this.dequeue();
+  }
+
+  // Rejects every job that has not started yet and lifts all holds
+  clear() {
+    this.holds.forEach(hold => clearTimeout(hold.timer));
+    this.holds.clear();
+
+    for (const [tenantId, tenant] of this.tenants) {
+      for (const tasks of tenant.sessions.values()) {
+        tasks.forEach(task => {
+          if (task.signal) {
+            this.unwatchSignal(task.signal);
+          }
+          task.reject(abortError());
+        });
+      }
+      tenant.sessions.clear();
+
+      if (tenant.running === 0) {
+        this.tenants.delete(tenantId);
+      }
+    }
+  }
+}
+
+export default FairScheduler;
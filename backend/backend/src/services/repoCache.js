@@ -0,0 +1,59 @@
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+// Most lists kept at once; the least recently stored go first
+const MAX_ENTRIES = 500;
+
+// GitHub list pages per installation, so the dashboard does not page through
+// every repository on each load. Each entry is a scope of one installation:
+// 'repositories', or 'branches/<owner>/<repo>'. Pages keep their ETag, so
+// even a stale entry is revalidated with conditional requests instead of
+// being fetched again. Webhooks drop an installation's entries as soon as its
+// repositories change; the TTL covers missed deliveries.
+class RepoCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Read per call because .env is loaded after this module is imported
+  get ttl() {
+    return parseInt(process.env.REPO_CACHE_TTL) || DEFAULT_TTL;
+  }
+
+  key(installationId, scope) {
+    return `${installationId}/${scope}`;
+  }
+
+  // { pages, cachedAt }, stale or not, or null
+  get(installationId, scope = 'repositories') {
+    return this.entries.get(this.key(installationId, scope)) || null;
+  }
+
+  isFresh(entry) {
+    return Boolean(entry) && Date.now() - entry.cachedAt <= this.ttl;
+  }
+
+  set(installationId, pages, scope = 'repositories') {
+    const key = this.key(installationId, scope);
+    this.entries.delete(key);
+    this.entries.set(key, {
+      pages,
+      cachedAt: Date.now()
+    });
+
+    if (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Drops every scope of the installation
+  invalidate(installationId) {
+    const prefix = `${installationId}/`;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+export default new RepoCache();
@@ -0,0 +1,207 @@
+import { EventEmitter } from 'events';
+import uploadQueue from './uploadQueue.js';
+import sessionStore from './sessionStore.js';
+import { hasSessionInstallation } from '../github/installations.js';
+
+// Queue events that belong to one session
+const SESSION_EVENTS = [
+  'jobStart',
+  'jobComplete',
+  'jobError',
+  'jobRetry',
+  'jobSkipped',
+  'jobCancelled',
+  'commitCreated',
+  'pullRequestCreated'
+];
+
+// Rate limit events, forwarded to every running session of the installation
+// they concern
+const QUEUE_EVENTS = [
+  'rateLimitWarning',
+  'rateLimitExceeded',
+  'rateLimitResumed'
+];
+
+// Events kept per session for Last-Event-ID replay
+const MAX_BUFFERED_EVENTS = 1000;
+// How long a finished session's events stay around for late reconnects
+const COMPLETED_RETENTION = 10 * 60 * 1000;
+const KEEP_ALIVE_INTERVAL = 30000;
+
+class SessionEventBus extends EventEmitter {
+  constructor(queue) {
+    super();
+    this.setMaxListeners(0);
+    this.channels = new Map();
+
+    SESSION_EVENTS.forEach(type => {
+      queue.on(type, data => this.publish(data.sessionId, type, data));
+    });
+
+    QUEUE_EVENTS.forEach(type => {
+      queue.on(type, data => this.broadcast(type, data));
+    });
+  }
+
+  // `stats` is the session's own stats object; it is updated in place so the
+  // persisted session and the stream always agree
+  startRun(sessionId, stats, installationId) {
+    const channel = this.channels.get(sessionId) || {
+      lastEventId: 0,
+      events: []
+    };
+
+    clearTimeout(channel.expiryTimer);
+    channel.stats = stats;
+    channel.installationId = installationId;
+    channel.completed = false;
+    this.channels.set(sessionId, channel);
+  }
+
+  publish(sessionId, type, data) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) {
+      return;
+    }
+
+    switch (type) {
+      case 'jobComplete':
+        channel.stats.completed++;
+        break;
+      case 'jobError':
+        channel.stats.failed++;
+        break;
+      case 'jobSkipped':
+        channel.stats.skipped++;
+        break;
+      case 'jobRetry':
+        channel.stats.retries = (channel.stats.retries || 0) + 1;
+        break;
+    }
+
+    const event = {
+      id: ++channel.lastEventId,
+      type,
+      data: {
+        ...data,
+        sessionId,
+        stats: { ...channel.stats }
+      }
+    };
+
+    channel.events.push(event);
+    if (channel.events.length > MAX_BUFFERED_EVENTS) {
+      channel.events.shift();
+    }
+
+    this.emit(`session:${sessionId}`, event);
+  }
+
+  broadcast(type, data) {
+    for (const [sessionId, channel] of this.channels) {
+      if (!channel.completed && channel.installationId === data.installationId) {
+        this.publish(sessionId, type, data);
+      }
+    }
+  }
+
+  completeSession(sessionId, summary) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) {
+      return;
+    }
+
+    this.publish(sessionId, 'sessionComplete', {
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+    channel.completed = true;
+
+    channel.expiryTimer = setTimeout(() => {
+      this.channels.delete(sessionId);
+    }, COMPLETED_RETENTION);
+    channel.expiryTimer.unref();
+  }
+
+  getStats(sessionId) {
+    return this.channels.get(sessionId)?.stats || null;
+  }
+
+  eventsSince(sessionId, lastEventId) {
+    const channel = this.channels.get(sessionId);
+    if (!channel) {
+      return [];
+    }
+    return channel.events.filter(event => event.id > lastEventId);
+  }
+
+  subscribe(sessionId, listener) {
+    const eventName = `session:${sessionId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+}
+
+const sessionEvents = new SessionEventBus(uploadQueue);
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Server-Sent Events setup
+export async function setupSSE(req, res) {
+  const { sessionId } = req.params;
+
+  // Express doesn't catch a rejected handler, so a failed load must be
+  // answered here
+  let session;
+  try {
+    session = await sessionStore.get(sessionId);
+  } catch (error) {
+    console.error('Progress stream error:', error);
+    return res.status(500).json({ error: 'Failed to load upload session' });
+  }
+
+  if (!session) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  if (!hasSessionInstallation(req.session, session.config.installationId)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  // Send initial connection event
+  res.write(`event: connected\ndata: ${JSON.stringify({
+    sessionId,
+    status: session.status,
+    stats: sessionEvents.getStats(sessionId) || session.stats,
+    timestamp: new Date().toISOString()
+  })}\n\n`);
+
+  // Browsers send Last-Event-ID on automatic reconnects; clients that open a
+  // fresh EventSource pass it as a query parameter instead
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  sessionEvents.eventsSince(sessionId, lastEventId).forEach(event => writeEvent(res, event));
+
+  const unsubscribe = sessionEvents.subscribe(sessionId, event => writeEvent(res, event));
+
+  // Keep-alive ping
+  const keepAlive = setInterval(() => {
+    res.write(`: ping\n\n`);
+  }, KEEP_ALIVE_INTERVAL);
+
+  // Client disconnect cleanup
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  });
+}
+
+export default sessionEvents;
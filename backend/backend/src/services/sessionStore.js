@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { cleanupTemp } from '../utils/zipExtractor.js';
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const EVICTION_INTERVAL = 10 * 60 * 1000;
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+// Keeps sessions in process memory only; everything is lost on restart
+class MemorySessionDriver {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async load(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async save(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  async remove(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  async list() {
+    return Array.from(this.sessions.keys());
+  }
+}
+
+// One JSON file per session so uploads survive a server restart
+class FileSessionDriver {
+  constructor(directory) {
+    this.directory = directory;
+    this.writeCount = 0;
+  }
+
+  filePath(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async load(sessionId) {
+    try {
+      const data = await fs.readFile(this.filePath(sessionId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(sessionId, session) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write then rename so a crash never leaves a half-written session. Each
+    // write gets its own temp file: two saves of one session can overlap, and
+    // a shared name would let one rename the other's file away.
+    const target = this.filePath(sessionId);
+    const temp = `${target}.${process.pid}.${++this.writeCount}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(session));
+    await fs.rename(temp, target);
+  }
+
+  async remove(sessionId) {
+    await fs.rm(this.filePath(sessionId), { force: true });
+  }
+
+  async list() {
+    try {
+      const entries = await fs.readdir(this.directory);
+      return entries
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length))
+        .filter(sessionId => SESSION_ID_PATTERN.test(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
+
+function createDriver(type) {
+  switch (type) {
+    case 'file':
+      return new FileSessionDriver(process.env.UPLOAD_SESSION_DIR || './upload_sessions');
+    case 'memory':
+    case undefined:
+    case '':
+      return new MemorySessionDriver();
+    default:
+      throw new Error(`Unknown upload session store: ${type}`);
+  }
+}
+
+class SessionStore {
+  constructor() {
+    this.driver = new MemorySessionDriver();
+    this.ttl = DEFAULT_TTL;
+    // Live objects shared by every request handling the same session, so an
+    // upload running in the background and a status request see one state
+    this.cache = new Map();
+    this.evictionTimer = null;
+  }
+
+  async init() {
+    // Configured here rather than at import time: server.js loads .env after
+    // its imports have been evaluated
+    this.driver = createDriver(process.env.UPLOAD_SESSION_STORE);
+    this.ttl = parseInt(process.env.UPLOAD_SESSION_TTL) || DEFAULT_TTL;
+
+    // Anything still uploading was cut off by the previous shutdown
+    for (const sessionId of await this.driver.list()) {
+      const session = await this.get(sessionId);
+
+      if (session && session.status === 'uploading') {
+        session.status = 'interrupted';
+        session.interruptedAt = new Date().toISOString();
+        await this.save(sessionId, session);
+      }
+    }
+
+    await this.evictExpired();
+
+    this.evictionTimer = setInterval(() => {
+      this.evictExpired().catch(error => {
+        console.error('Session eviction failed:', error.message);
+      });
+    }, EVICTION_INTERVAL);
+    this.evictionTimer.unref();
+  }
+
+  // Ids come straight from request URLs; one that could never have been
+  // issued is simply not found
+  async get(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    if (this.cache.has(sessionId)) {
+      return this.cache.get(sessionId);
+    }
+
+    const session = await this.driver.load(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (this.isExpired(session)) {
+      await this.delete(sessionId);
+      return null;
+    }
+
+    this.cache.set(sessionId, session);
+    return session;
+  }
+
+  async save(sessionId, session) {
+    session.updatedAt = new Date().toISOString();
+    this.cache.set(sessionId, session);
+    await this.driver.save(sessionId, session);
+  }
+
+  async delete(sessionId) {
+    const session = this.cache.get(sessionId) || await this.driver.load(sessionId);
+
+    this.cache.delete(sessionId);
+    await this.driver.remove(sessionId);
+
+    if (session?.tempId) {
+      await cleanupTemp(session.tempId);
+    }
+  }
+
+  // Every stored session, with its id, that `predicate` accepts
+  async findSessions(predicate) {
+    const matches = [];
+
+    for (const sessionId of await this.driver.list()) {
+      const session = await this.get(sessionId);
+      if (session && predicate(session)) {
+        matches.push({ sessionId, session });
+      }
+    }
+
+    return matches;
+  }
+
+  isExpired(session) {
+    // Never evict a session that is actively uploading
+    if (session.status === 'uploading') {
+      return false;
+    }
+
+    const lastActivity = Date.parse(session.updatedAt || session.startedAt);
+    return Date.now() - lastActivity > this.ttl;
+  }
+
+  async evictExpired() {
+    for (const sessionId of await this.driver.list()) {
+      const session = this.cache.get(sessionId) || await this.driver.load(sessionId);
+
+      if (session && this.isExpired(session)) {
+        await this.delete(sessionId);
+      }
+    }
+  }
+
+  stop() {
+    clearInterval(this.evictionTimer);
+  }
+}
+
+export default new SessionStore();
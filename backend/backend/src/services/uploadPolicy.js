@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import YAML from 'yaml';
+import { minimatch } from 'minimatch';
+import GITHUB_CONFIG from '../utils/github.js';
+import { getFileContent } from '../utils/gitData.js';
+
+// Committed in the target repository to set that repository's rules
+export const REPO_POLICY_FILE = '.uploader.yml';
+
+// Deny globs such as "*.exe" that only name an extension
+const EXTENSION_GLOB = /^\*\.[^/*?[\]]+$/;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+
+function policyError(message, status = 400) {
+  const error = new Error(message);
+  error.code = 'INVALID_POLICY';
+  error.status = status;
+  return error;
+}
+
+// Sizes are bytes, or a string such as "10MB"
+function parseSize(value, source) {
+  if (typeof value === 'number' && value > 0) {
+    return value;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    throw policyError(`${source}: maxFileSize must be a number of bytes or a size such as "10MB"`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+function parsePatterns(value, key, source) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const patterns = Array.isArray(value) ? value : [value];
+  if (!patterns.every(pattern => typeof pattern === 'string' && pattern.trim())) {
+    throw policyError(`${source}: ${key} must be a glob or a list of globs`);
+  }
+  return patterns.map(pattern => pattern.trim());
+}
+
+// One level of configuration: { allow, deny, maxFileSize, maxFiles }, every
+// key optional
+function parseLayer(raw, source) {
+  if (raw === undefined || raw === null) {
+    return { source, allow: [], deny: [] };
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw policyError(`${source}: expected a mapping of policy settings`);
+  }
+
+  const layer = {
+    source,
+    allow: parsePatterns(raw.allow, 'allow', source),
+    deny: parsePatterns(raw.deny, 'deny', source)
+  };
+
+  if (raw.maxFileSize !== undefined) {
+    layer.maxFileSize = parseSize(raw.maxFileSize, source);
+  }
+
+  if (raw.maxFiles !== undefined) {
+    if (!Number.isInteger(raw.maxFiles) || raw.maxFiles < 1) {
+      throw policyError(`${source}: maxFiles must be a positive whole number`);
+    }
+    layer.maxFiles = raw.maxFiles;
+  }
+
+  return layer;
+}
+
+// Globs are matched against the file's path in the repository. Like
+// .gitignore, a pattern without a slash matches the name in any directory,
+// a leading slash anchors it to the root and a trailing one means the
+// whole directory.
+function matchesPattern(filePath, pattern) {
+  let glob = pattern;
+
+  const anchored = glob.startsWith('/');
+  if (anchored) {
+    glob = glob.slice(1);
+  }
+
+  const directory = glob.endsWith('/');
+  if (directory) {
+    glob = glob.slice(0, -1);
+  }
+
+  if (!anchored && !glob.includes('/')) {
+    glob = `**/${glob}`;
+  }
+  if (directory) {
+    glob = `${glob}/**`;
+  }
+
+  return minimatch(filePath, glob, { dot: true });
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)}KB` : `${bytes / 1024 / 1024}MB`;
+}
+
+// Decides which files of an upload may be committed. Rules come from three
+// levels, applied in order: the server (global), the GitHub App installation
+// and the repository's own .uploader.yml. A file must pass every level, so a
+// lower level can only narrow what a higher one permits, never widen it.
+class UploadPolicy {
+  constructor() {
+    this.serverConfig = null;
+  }
+
+  // UPLOAD_POLICY_FILE holds the global rules at the top level and
+  // per-installation rules under `installations`, keyed by installation id.
+  // Read once; changes need a restart.
+  async loadServerConfig() {
+    if (this.serverConfig) {
+      return this.serverConfig;
+    }
+
+    const configPath = process.env.UPLOAD_POLICY_FILE;
+    let raw = {};
+
+    if (configPath) {
+      try {
+        raw = YAML.parse(await fs.readFile(configPath, 'utf8')) || {};
+      } catch (error) {
+        throw policyError(`Failed to load upload policy from ${configPath}: ${error.message}`, 500);
+      }
+    }
+
+    const { installations = {}, ...global } = raw;
+
+    this.serverConfig = {
+      global: parseLayer(global, 'global policy'),
+      installations: Object.fromEntries(
+        Object.entries(installations).map(([installationId, layer]) => [
+          String(installationId),
+          parseLayer(layer, `installation ${installationId} policy`)
+        ])
+      )
+    };
+
+    return this.serverConfig;
+  }
+
+  async loadRepoLayer(repoConfig, token, branch) {
+    const content = await getFileContent(repoConfig, token, REPO_POLICY_FILE, branch);
+    if (!content) {
+      return null;
+    }
+
+    let raw;
+    try {
+      raw = YAML.parse(content.toString('utf8'));
+    } catch (error) {
+      throw policyError(`Invalid ${REPO_POLICY_FILE} in ${repoConfig.owner}/${repoConfig.repo}: ${error.message}`);
+    }
+
+    return parseLayer(raw, REPO_POLICY_FILE);
+  }
+
+  // The policy for one upload. Plain data, so it can be kept on the session.
+  async resolve(installationId, repoConfig, branch, token) {
+    const { global, installations } = await this.loadServerConfig();
+
+    const layers = [global];
+    if (installations[String(installationId)]) {
+      layers.push(installations[String(installationId)]);
+    }
+
+    const repoLayer = await this.loadRepoLayer(repoConfig, token, branch);
+    if (repoLayer) {
+      layers.push(repoLayer);
+    }
+
+    // GitHub's own limits cap every level
+    return {
+      layers,
+      maxFileSize: Math.min(
+        GITHUB_CONFIG.MAX_FILE_SIZE,
+        ...layers.map(layer => layer.maxFileSize ?? Infinity)
+      ),
+      maxFiles: Math.min(
+        GITHUB_CONFIG.MAX_FILES_PER_UPLOAD,
+        ...layers.map(layer => layer.maxFiles ?? Infinity)
+      )
+    };
+  }
+
+  // Returns why `file` is kept out of the upload, as { reason, detail }, or
+  // null. A deny glob on an extension alone is reported as a blocked
+  // extension, every other rule as a policy rule.
+  checkFile(file, policy) {
+    if (file.size > policy.maxFileSize) {
+      return {
+        reason: 'policy-rule',
+        detail: `larger than the maximum file size of ${formatSize(policy.maxFileSize)}`
+      };
+    }
+
+    for (const layer of policy.layers) {
+      if (layer.allow.length > 0 && !layer.allow.some(pattern => matchesPattern(file.path, pattern))) {
+        return { reason: 'policy-rule', detail: `not allowed by ${layer.source}` };
+      }
+
+      const denied = layer.deny.find(pattern => matchesPattern(file.path, pattern));
+      if (denied) {
+        return {
+          reason: EXTENSION_GLOB.test(denied) ? 'blocked-extension' : 'policy-rule',
+          detail: `denied by ${layer.source} (${denied})`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Splits `files` into the ones the policy allows and skipped entries for
+  // the rest. Too many allowed files fails the whole upload.
+  apply(files, policy) {
+    const allowed = [];
+    const skipped = [];
+
+    for (const file of files) {
+      const problem = this.checkFile(file, policy);
+      if (problem) {
+        skipped.push({ path: file.path, size: file.size, ...problem });
+      } else {
+        allowed.push(file);
+      }
+    }
+
+    if (allowed.length > policy.maxFiles) {
+      const error = new Error(`Upload contains ${allowed.length} files, the upload policy allows at most ${policy.maxFiles}`);
+      error.code = 'POLICY_LIMIT';
+      error.status = 413;
+      throw error;
+    }
+
+    return { allowed, skipped };
+  }
+}
+
+export default new UploadPolicy();
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import PQueue from 'p-queue';
+import { createTwoFilesPatch } from 'diff';
+import { getBranchHead, getRecursiveTree, getBlobContent } from '../utils/gitData.js';
+
+// Diffs are only computed for text files up to this size (per side)
+const MAX_DIFF_FILE_SIZE = 256 * 1024;
+const BLOB_FETCH_CONCURRENCY = 5;
+
+// Same heuristic git uses: a NUL byte in the first 8000 bytes means binary
+export function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Enough of a file to tell text from binary without reading all of it
+async function readFileHead(fullPath) {
+  const handle = await fs.open(fullPath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(8000), 0, 8000, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Mirror mode: files under basePath on the branch that the archive no longer
+// contains. Paths the archive had but we skipped are kept, not deleted.
+export function computeMirrorDeletions(session, tree) {
+  // Already sanitized when the session config was built
+  const prefix = session.config.basePath;
+  const archivePaths = new Set(session.archivePaths);
+  const deletions = [];
+
+  for (const [path, entry] of tree.entries) {
+    const inBasePath = !prefix || path.startsWith(`${prefix}/`);
+    if (inBasePath && !archivePaths.has(path)) {
+      deletions.push({ path, mode: entry.mode, size: entry.size });
+    }
+  }
+
+  return deletions;
+}
+
+export function checkMirrorDeletions(session, tree, deletions) {
+  if (tree.truncated) {
+    return 'The branch has too many files to list completely, mirror mode cannot determine which files to delete';
+  }
+
+  if (deletions.length > session.config.maxDeletions) {
+    return `Mirror mode would delete ${deletions.length} files, more than the limit of ${session.config.maxDeletions}`;
+  }
+
+  return null;
+}
+
+export async function buildUploadPreview(session, token) {
+  const { config } = session;
+  const head = await getBranchHead(config, token, config.baseBranch || config.branch);
+  const tree = await getRecursiveTree(config, token, head.treeSha);
+
+  const blobQueue = new PQueue({ concurrency: BLOB_FETCH_CONCURRENCY });
+  const diffJobs = [];
+
+  // Hashes were taken during extraction; file contents are only read from
+  // disk for the modified files that need a diff
+  const entries = session.files.map((file) => {
+    const existing = tree.entries.get(file.path);
+
+    const entry = {
+      path: file.path,
+      size: file.size,
+      sha: file.sha
+    };
+
+    if (!existing) {
+      entry.status = 'added';
+    } else if (existing.sha === file.sha) {
+      entry.status = 'unchanged';
+    } else {
+      entry.status = 'modified';
+
+      diffJobs.push(blobQueue.add(async () => {
+        if (file.size > MAX_DIFF_FILE_SIZE || existing.size > MAX_DIFF_FILE_SIZE) {
+          entry.binary = isBinaryContent(await readFileHead(file.fullPath));
+          if (!entry.binary) {
+            entry.diffOmitted = 'File too large to diff';
+          }
+          return;
+        }
+
+        const content = await fs.readFile(file.fullPath);
+        if (isBinaryContent(content)) {
+          entry.binary = true;
+          return;
+        }
+
+        const previous = await getBlobContent(config, token, existing.sha);
+
+        if (isBinaryContent(previous)) {
+          entry.binary = true;
+          return;
+        }
+
+        entry.diff = createTwoFilesPatch(
+          `a/${file.path}`,
+          `b/${file.path}`,
+          previous.toString('utf8'),
+          content.toString('utf8')
+        );
+      }));
+    }
+
+    return entry;
+  });
+
+  await Promise.all(diffJobs);
+
+  let mirrorError = null;
+  if (config.mirror) {
+    const deletions = computeMirrorDeletions(session, tree);
+    mirrorError = checkMirrorDeletions(session, tree, deletions);
+
+    deletions.forEach(deletion => {
+      entries.push({
+        path: deletion.path,
+        size: deletion.size,
+        status: 'deleted'
+      });
+    });
+  }
+
+  for (const skipped of session.skipped || []) {
+    entries.push({
+      path: skipped.path,
+      size: skipped.size,
+      status: 'skipped',
+      reason: skipped.reason,
+      detail: skipped.detail
+    });
+  }
+
+  const summary = entries.reduce((counts, entry) => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+    return counts;
+  }, { added: 0, modified: 0, unchanged: 0, deleted: 0, skipped: 0 });
+
+  return {
+    branch: config.baseBranch || config.branch,
+    baseCommit: head.commitSha,
+    // GitHub caps recursive listings; past the cap "added" may be wrong
+    treeTruncated: tree.truncated,
+    mirror: config.mirror ? {
+      maxDeletions: config.maxDeletions,
+      error: mirrorError
+    } : null,
+    summary,
+    entries
+  };
+}
+
+// What running the session has to do on the branch as it is now: the files
+// whose bytes are not on it yet and, in mirror mode, the deletions. Entries
+// deselected in the preview are left out. The session is only updated once
+// the plan holds, so a plan that fails (say, over the mirror deletion limit)
+// can be made again with a different selection.
+export async function planSessionRun(session, token, selectedPaths) {
+  const { config } = session;
+  const baseHead = await getBranchHead(config, token, config.baseBranch || config.branch);
+  const baseTree = await getRecursiveTree(config, token, baseHead.treeSha);
+
+  let files = session.files;
+  if (Array.isArray(selectedPaths)) {
+    const selected = new Set(selectedPaths);
+    files = files.filter(file => selected.has(file.path));
+  }
+
+  const changedFiles = [];
+  const unchangedFiles = [];
+  files.forEach(file => {
+    const existing = baseTree.entries.get(file.path);
+    // A changed file stays executable if it was; anything else, a symlink
+    // or submodule included, is replaced by a regular file
+    file.mode = existing?.mode === '100755' ? '100755' : '100644';
+
+    if (existing?.sha === file.sha) {
+      unchangedFiles.push(file);
+    } else {
+      changedFiles.push(file);
+    }
+  });
+
+  let deletions = [];
+  if (config.mirror) {
+    deletions = computeMirrorDeletions(session, baseTree);
+
+    // Retries only delete what the first run was allowed to delete
+    const allowed = Array.isArray(selectedPaths) ? selectedPaths : session.deletions;
+    if (allowed) {
+      const allowedSet = new Set(allowed);
+      deletions = deletions.filter(deletion => allowedSet.has(deletion.path));
+    }
+
+    const mirrorError = checkMirrorDeletions(session, baseTree, deletions);
+    if (mirrorError) {
+      const error = new Error(mirrorError);
+      error.code = 'MIRROR_LIMIT';
+      throw error;
+    }
+
+    session.deletions = deletions.map(deletion => deletion.path);
+    session.stats.deleted = deletions.length;
+  }
+
+  unchangedFiles.forEach(file => {
+    file.status = 'done';
+    file.blobSha = file.sha;
+  });
+
+  session.files = files;
+  session.stats.total = files.length;
+  session.baseCommit = baseHead;
+  session.unchanged = unchangedFiles.map(file => file.path);
+
+  return { changedFiles, deletions };
+}
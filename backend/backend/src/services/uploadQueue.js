@@ -1,29 +1,126 @@
 import { EventEmitter } from 'events';
-import PQueue from 'p-queue';
-import axios from 'axios';
+import {
+  getBranchHead,
+  getBranchRefSha,
+  createBlob,
+  createTree,
+  createCommit,
+  updateBranchRef,
+  createBranchRef,
+  createPullRequest
+} from '../utils/gitData.js';
+import FairScheduler from './fairScheduler.js';
+import GitHubAuth from '../github/auth.js';
+import { readUploadFile } from '../utils/zipExtractor.js';
+import GITHUB_CONFIG from '../utils/github.js';
+
+// Network failures worth another attempt; anything else without a response is not
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit
+// response that carries no retry-after header
+const SECONDARY_RATE_LIMIT_DELAY = 60000;
+
+function isRateLimitExhausted(error) {
+  const status = error.response?.status;
+  return (status === 403 || status === 429) && error.response.headers['x-ratelimit-remaining'] === '0';
+}
+
+// Time until an exhausted primary rate limit resets, plus a little margin
+function rateLimitResetDelay(headers) {
+  const resetTime = parseInt(headers['x-ratelimit-reset']) * 1000;
+  if (isNaN(resetTime)) {
+    return SECONDARY_RATE_LIMIT_DELAY;
+  }
+  return Math.max(1000, resetTime - Date.now() + GITHUB_CONFIG.RATE_LIMIT_RESET_BUFFER);
+}
+
+function cancelledError() {
+  const error = new Error('Upload cancelled');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 class UploadQueue extends EventEmitter {
   constructor() {
     super();
-    this.queue = new PQueue({
-      concurrency: parseInt(process.env.UPLOAD_CONCURRENCY) || 3,
-      timeout: 300000,
-      throwOnTimeout: false
-    });
+    // Shared by every installation; the scheduler takes turns between them
+    // so one large upload cannot starve the rest
+    this.queue = new FairScheduler();
+    this.configure();
     
     this.activeUploads = new Map();
+    // One AbortController per running session, shared by all of its jobs
+    this.sessionControllers = new Map();
+    // Last seen rate limit headers per installation; every installation token
+    // has its own budget
+    this.rateLimits = new Map();
     this.stats = {
       totalJobs: 0,
       completedJobs: 0,
       failedJobs: 0,
+      retriedJobs: 0,
       rateLimitHits: 0
     };
   }
 
+  // Applies the concurrency settings from the environment. server.js calls
+  // it again once .env is loaded, which happens after this module is imported.
+  configure() {
+    const concurrency = parseInt(process.env.UPLOAD_CONCURRENCY) || 3;
+    this.queue.setConcurrency({
+      concurrency,
+      tenantConcurrency: parseInt(process.env.UPLOAD_TENANT_CONCURRENCY) || Math.max(1, concurrency - 1)
+    });
+  }
+  
+  getSessionSignal(sessionId) {
+    if (!this.sessionControllers.has(sessionId)) {
+      this.sessionControllers.set(sessionId, new AbortController());
+    }
+    return this.sessionControllers.get(sessionId).signal;
+  }
+  
+  // Drops the session's queued jobs and aborts the requests already in flight
+  cancelSession(sessionId) {
+    const controller = this.sessionControllers.get(sessionId);
+    if (!controller) {
+      return false;
+    }
+    
+    // Stays registered (and aborted) until the run releases it, so nothing
+    // started later in the same run can pick up a fresh signal
+    controller.abort();
+    return true;
+  }
+  
+  releaseSession(sessionId) {
+    this.sessionControllers.delete(sessionId);
+  }
+  
   async addUploadJob(fileData, repoConfig, sessionId) {
     const jobId = `${sessionId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const signal = this.getSessionSignal(sessionId);
     
     const job = async () => {
+      if (signal.aborted) {
+        throw cancelledError();
+      }
+      
       this.activeUploads.set(jobId, {
         filePath: fileData.path,
         sessionId,
@@ -38,48 +135,25 @@ class UploadQueue extends EventEmitter {
           timestamp: new Date().toISOString()
         });
         
-        // GitHub API: Create or update file
-        const endpoint = `https://api.github.com/repos/${repoConfig.owner}/${repoConfig.repo}/contents/${encodeURIComponent(fileData.path)}`;
-        
-        // Prepare request data
-        const requestData = {
-          message: fileData.message || `Upload ${fileData.path}`,
-          content: fileData.content,
-          branch: repoConfig.branch
-        };
-        
-        // Check if file exists to get SHA (for updates)
-        try {
-          const existingResponse = await axios.get(endpoint, {
-            headers: {
-              'Accept': 'application/vnd.github+json',
-              'Authorization': `Bearer ${repoConfig.installationToken}`,
-              'X-GitHub-Api-Version': '2022-11-28'
-            },
-            params: {
-              ref: repoConfig.branch
-            }
-          });
-          
-          requestData.sha = existingResponse.data.sha;
-        } catch (error) {
-          // File doesn't exist, which is fine for new files
-          if (error.response?.status !== 404) {
-            throw error;
-          }
+        if (fileData.onStart) {
+          fileData.onStart();
         }
         
-        // Upload file
-        const response = await axios.put(endpoint, requestData, {
-          headers: {
-            'Accept': 'application/vnd.github+json',
-            'Authorization': `Bearer ${repoConfig.installationToken}`,
-            'X-GitHub-Api-Version': '2022-11-28'
-          }
-        });
+        // Read from disk only now, so queued jobs hold no file contents
+        const content = fileData.content ?? await readUploadFile(fileData);
+        
+        // Store the content as a blob; nothing touches the branch until
+        // commitSession() runs once every blob exists
+        const response = await this.withRetry(
+          () => this.withToken(repoConfig.installationId, token => {
+            return createBlob(repoConfig, token, content, fileData.encoding, signal);
+          }),
+          { jobId, sessionId, installationId: repoConfig.installationId, filePath: fileData.path },
+          signal
+        );
         
         // Check rate limits
-        this.checkRateLimits(response.headers);
+        this.checkRateLimits(response.headers, repoConfig.installationId);
         
         const duration = Date.now() - this.activeUploads.get(jobId).startTime;
         
@@ -91,15 +165,29 @@ class UploadQueue extends EventEmitter {
           filePath: fileData.path,
           duration,
           result: {
-            sha: response.data.content.sha,
-            url: response.data.content.html_url
+            sha: response.data.sha
           },
           timestamp: new Date().toISOString()
         });
         
-        return response.data;
+        return {
+          path: fileData.path,
+          mode: fileData.mode || '100644',
+          type: 'blob',
+          sha: response.data.sha
+        };
         
       } catch (error) {
+        if (signal.aborted) {
+          this.emit('jobCancelled', {
+            jobId,
+            sessionId,
+            filePath: fileData.path,
+            timestamp: new Date().toISOString()
+          });
+          throw cancelledError();
+        }
+        
         this.stats.failedJobs++;
         
         const errorData = {
@@ -113,9 +201,9 @@ class UploadQueue extends EventEmitter {
         };
         
         // Handle rate limits specifically
-        if (error.response?.status === 403 && error.response.headers['x-ratelimit-remaining'] === '0') {
+        if (isRateLimitExhausted(error)) {
           this.stats.rateLimitHits++;
-          this.handleRateLimitExceeded(error.response.headers);
+          this.handleRateLimitExceeded(error.response.headers, repoConfig.installationId);
         }
         
         this.emit('jobError', errorData);
@@ -127,52 +215,286 @@ class UploadQueue extends EventEmitter {
     };
     
     this.stats.totalJobs++;
+    // The scheduler drops jobs whose signal was aborted before they started
     return this.queue.add(job, { 
-      priority: fileData.priority || 0 
+      tenant: repoConfig.installationId,
+      session: sessionId,
+      priority: fileData.priority || 0,
+      signal
+    }).catch(error => {
+      throw signal.aborted ? cancelledError() : error;
+    });
+  }
+  
+  // Returns how long to wait before retrying, or null when the error is final
+  getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const headers = error.response?.headers || {};
+    const retryAfter = parseInt(headers['retry-after']) * 1000;
+    
+    if (!error.response) {
+      if (!RETRYABLE_NETWORK_ERRORS.includes(error.code)) {
+        return null;
+      }
+    } else if (status === 403 || status === 429) {
+      // An exhausted primary limit pauses the installation until it resets;
+      // jobs already running wait for the reset like the queued ones
+      if (headers['x-ratelimit-remaining'] === '0') {
+        return rateLimitResetDelay(headers);
+      }
+      if (!isNaN(retryAfter)) {
+        return retryAfter;
+      }
+      if (/secondary rate limit/i.test(error.response.data?.message || '')) {
+        return SECONDARY_RATE_LIMIT_DELAY;
+      }
+      return null;
+    } else if (status < 500) {
+      // Other client errors stay as they are on a retry; a 409 from the Git
+      // Data API means the repository is empty
+      return null;
+    }
+    
+    if (!isNaN(retryAfter)) {
+      return retryAfter;
+    }
+    
+    // Exponential backoff with jitter so parallel jobs don't retry in lockstep
+    const backoff = GITHUB_CONFIG.RETRY_DELAY * Math.pow(GITHUB_CONFIG.RETRY_BACKOFF_FACTOR, attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+  
+  // Tokens are fetched when each request is made, not when the upload
+  // started, so an upload can outlive any single token. A 401 means the
+  // token was revoked or expired early: refresh it and try once more.
+  async withToken(installationId, operation) {
+    const token = await GitHubAuth.getInstallationToken(installationId);
+    
+    try {
+      return await operation(token);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+      
+      GitHubAuth.invalidateInstallationToken(installationId, token);
+      return operation(await GitHubAuth.getInstallationToken(installationId));
+    }
+  }
+  
+  async withRetry(operation, context, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        const delay = this.getRetryDelay(error, attempt);
+        
+        if (signal?.aborted || delay === null || attempt >= GITHUB_CONFIG.MAX_RETRIES) {
+          throw error;
+        }
+        
+        // Rate limits apply to the whole installation, so its other jobs
+        // wait out the delay too instead of tripping it again
+        const status = error.response?.status;
+        if (isRateLimitExhausted(error) && context.installationId) {
+          this.stats.rateLimitHits++;
+          this.handleRateLimitExceeded(error.response.headers, context.installationId);
+        } else if ((status === 403 || status === 429) && context.installationId) {
+          this.queue.holdTenant(context.installationId, delay);
+        }
+        
+        this.stats.retriedJobs++;
+        this.emit('jobRetry', {
+          ...context,
+          attempt: attempt + 1,
+          maxRetries: GITHUB_CONFIG.MAX_RETRIES,
+          delay,
+          status: error.response?.status,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+        
+        await sleep(delay, signal);
+      }
+    }
+  }
+  
+  reportSkipped(sessionId, filePath, reason) {
+    this.emit('jobSkipped', {
+      sessionId,
+      filePath,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  async commitSession(treeEntries, repoConfig, sessionId, baseHead = null) {
+    const { installationId } = repoConfig;
+    const signal = this.getSessionSignal(sessionId);
+    const context = { sessionId, installationId, filePath: null };
+    // With a base branch the commit goes onto a brand-new branch cut from it
+    const head = baseHead || await this.withRetry(
+      () => this.withToken(installationId, token => {
+        return getBranchHead(repoConfig, token, repoConfig.baseBranch || repoConfig.branch, signal);
+      }),
+      context,
+      signal
+    );
+    
+    const treeSha = await this.withRetry(
+      () => this.withToken(installationId, token => {
+        return createTree(repoConfig, token, head.treeSha, treeEntries, signal);
+      }),
+      context,
+      signal
+    );
+    const commit = await this.withRetry(
+      () => this.withToken(installationId, token => {
+        return createCommit(repoConfig, token, {
+          message: repoConfig.commitMessage,
+          treeSha,
+          parents: [head.commitSha]
+        }, signal);
+      }),
+      context,
+      signal
+    );
+    
+    // Last chance to back out. The ref update itself is not aborted: once it
+    // is sent we need its outcome to know whether the branch moved
+    if (signal.aborted) {
+      throw cancelledError();
+    }
+    
+    // A write that timed out or failed with a 5xx may still have moved the
+    // ref, and sending it again would then fail with a 422 ("Reference
+    // already exists", "not a fast forward"), so a retry reads the ref first
+    let refWrites = 0;
+    await this.withRetry(() => this.withToken(installationId, async token => {
+      if (refWrites++ > 0 && await getBranchRefSha(repoConfig, token, repoConfig.branch) === commit.sha) {
+        return;
+      }
+      
+      return repoConfig.baseBranch
+        ? createBranchRef(repoConfig, token, repoConfig.branch, commit.sha)
+        : updateBranchRef(repoConfig, token, repoConfig.branch, commit.sha);
+    }), context);
+    
+    const result = {
+      sha: commit.sha,
+      url: commit.html_url,
+      parent: head.commitSha,
+      fileCount: treeEntries.filter(entry => entry.sha !== null).length,
+      deletedCount: treeEntries.filter(entry => entry.sha === null).length
+    };
+    
+    this.emit('commitCreated', {
+      sessionId,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    
+    return result;
+  }
+  
+  async openPullRequest(repoConfig, sessionId) {
+    const pullRequest = await this.withToken(repoConfig.installationId, token => {
+      return createPullRequest(repoConfig, token, {
+        title: repoConfig.pullRequest.title,
+        body: repoConfig.pullRequest.body,
+        head: repoConfig.branch,
+        base: repoConfig.baseBranch
+      });
+    });
+    
+    const result = {
+      number: pullRequest.number,
+      url: pullRequest.html_url,
+      head: repoConfig.branch,
+      base: repoConfig.baseBranch
+    };
+    
+    this.emit('pullRequestCreated', {
+      sessionId,
+      ...result,
+      timestamp: new Date().toISOString()
     });
+    
+    return result;
   }
   
-  checkRateLimits(headers) {
+  checkRateLimits(headers, installationId) {
     const remaining = parseInt(headers['x-ratelimit-remaining']);
     const limit = parseInt(headers['x-ratelimit-limit']);
     const resetTime = parseInt(headers['x-ratelimit-reset']) * 1000;
     
-    if (remaining < 10) {
+    if (isNaN(remaining) || isNaN(resetTime)) {
+      return;
+    }
+    
+    this.rateLimits.set(installationId, { remaining, limit, resetTime });
+    
+    if (remaining === 0) {
+      this.handleRateLimitExceeded(headers, installationId);
+      return;
+    }
+    
+    if (remaining < GITHUB_CONFIG.RATE_LIMIT_WARNING_THRESHOLD) {
+      const resetIn = Math.max(0, resetTime - Date.now());
+      // Spread what is left of the budget evenly over the time until reset
+      // rather than spending it and then stalling
+      const spacing = Math.ceil(resetIn / remaining);
+      this.queue.holdTenant(installationId, spacing);
+      
       this.emit('rateLimitWarning', {
+        installationId,
         remaining,
         limit,
         resetTime: new Date(resetTime).toISOString(),
-        resetIn: Math.max(0, resetTime - Date.now())
+        resetIn,
+        throttleDelay: spacing
       });
     }
   }
   
-  handleRateLimitExceeded(headers) {
+  // Only the installation whose token ran out is paused; others keep going
+  handleRateLimitExceeded(headers, installationId) {
     const resetTime = parseInt(headers['x-ratelimit-reset']) * 1000;
-    const waitTime = Math.max(1000, resetTime - Date.now() + 1000);
+    const waitTime = rateLimitResetDelay(headers);
+    
+    if (this.queue.isHeld(installationId) && this.rateLimits.get(installationId)?.exceeded) {
+      return;
+    }
+    this.rateLimits.set(installationId, { remaining: 0, limit: parseInt(headers['x-ratelimit-limit']), resetTime, exceeded: true });
     
     this.emit('rateLimitExceeded', {
+      installationId,
       resetTime: new Date(resetTime).toISOString(),
       waitTime,
       timestamp: new Date().toISOString()
     });
     
-    // Pause queue until rate limit resets
-    this.queue.pause();
+    this.queue.holdTenant(installationId, waitTime);
     setTimeout(() => {
-      this.queue.start();
+      this.rateLimits.delete(installationId);
       this.emit('rateLimitResumed', {
+        installationId,
         timestamp: new Date().toISOString()
       });
     }, waitTime);
   }
   
+  getRateLimit(installationId) {
+    return this.rateLimits.get(installationId) || null;
+  }
+  
   getStats() {
     return {
       ...this.stats,
       activeJobs: this.activeUploads.size,
       pendingJobs: this.queue.pending,
-      queueSize: this.queue.size
+      queueSize: this.queue.size,
+      tenants: this.queue.getTenantStats()
     };
   }
   
@@ -185,6 +507,7 @@ class UploadQueue extends EventEmitter {
       totalJobs: 0,
       completedJobs: 0,
       failedJobs: 0,
+      retriedJobs: 0,
       rateLimitHits: 0
     };
   }
@@ -198,75 +521,13 @@ class UploadQueue extends EventEmitter {
   }
   
   clear() {
+    this.sessionControllers.forEach(controller => controller.abort());
+    this.sessionControllers.clear();
+    this.rateLimits.clear();
     this.queue.clear();
     this.activeUploads.clear();
     this.clearStats();
   }
 }
 
-// Server-Sent Events setup
-export function setupSSE(req, res) {
-  const { sessionId } = req.params;
-  
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  
-  // Send initial connection event
-  res.write(`event: connected\ndata: ${JSON.stringify({ 
-    sessionId, 
-    timestamp: new Date().toISOString() 
-  })}\n\n`);
-  
-  const uploadQueue = new UploadQueue();
-  
-  // Event listeners
-  const eventHandlers = {
-    jobStart: (data) => {
-      if (data.sessionId === sessionId) {
-        res.write(`event: jobStart\ndata: ${JSON.stringify(data)}\n\n`);
-      }
-    },
-    jobComplete: (data) => {
-      if (data.sessionId === sessionId) {
-        res.write(`event: jobComplete\ndata: ${JSON.stringify(data)}\n\n`);
-      }
-    },
-    jobError: (data) => {
-      if (data.sessionId === sessionId) {
-        res.write(`event: jobError\ndata: ${JSON.stringify(data)}\n\n`);
-      }
-    },
-    rateLimitWarning: (data) => {
-      res.write(`event: rateLimitWarning\ndata: ${JSON.stringify(data)}\n\n`);
-    },
-    rateLimitExceeded: (data) => {
-      res.write(`event: rateLimitExceeded\ndata: ${JSON.stringify(data)}\n\n`);
-    },
-    rateLimitResumed: (data) => {
-      res.write(`event: rateLimitResumed\ndata: ${JSON.stringify(data)}\n\n`);
-    }
-  };
-  
-  // Register event listeners
-  Object.entries(eventHandlers).forEach(([event, handler]) => {
-    uploadQueue.on(event, handler);
-  });
-  
-  // Keep-alive ping
-  const keepAlive = setInterval(() => {
-    res.write(`: ping\n\n`);
-  }, 30000);
-  
-  // Client disconnect cleanup
-  req.on('close', () => {
-    clearInterval(keepAlive);
-    Object.keys(eventHandlers).forEach(event => {
-      uploadQueue.off(event, eventHandlers[event]);
-    });
-    res.end();
-  });
-}
-
 export default new UploadQueue();
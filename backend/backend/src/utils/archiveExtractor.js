@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import { extractZip } from './zipExtractor.js';
+import { extractTar } from './tarExtractor.js';
+
+// Extensions the upload form offers; the server itself goes by content
+export const SUPPORTED_ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz', '.tar.bz2', '.tbz2'];
+
+// The extension and mimetype a browser sends are only hints, so the format
+// is read from the file's first bytes. Compressed streams are assumed to
+// hold a tarball; anything else fails when the tar headers don't parse.
+export async function detectArchiveFormat(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  // Local file header, or the end record of an empty archive
+  if (head[0] === 0x50 && head[1] === 0x4b && (head[2] === 0x03 || head[2] === 0x05)) {
+    return 'zip';
+  }
+  if (head[0] === 0x1f && head[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  if (head.subarray(0, 3).toString('latin1') === 'BZh') {
+    return 'tar.bz2';
+  }
+  if (head.subarray(257, 262).toString('latin1') === 'ustar') {
+    return 'tar';
+  }
+
+  return null;
+}
+
+export async function extractArchive(filePath, basePath = '') {
+  const format = await detectArchiveFormat(filePath);
+  let result;
+
+  switch (format) {
+    case 'zip':
+      result = await extractZip(filePath, basePath);
+      break;
+    case 'tar':
+      result = await extractTar(filePath, null, basePath);
+      break;
+    case 'tar.gz':
+      result = await extractTar(filePath, 'gzip', basePath);
+      break;
+    case 'tar.bz2':
+      result = await extractTar(filePath, 'bzip2', basePath);
+      break;
+    default: {
+      const error = new Error('Unsupported archive format. Upload a ZIP, tar, tar.gz or tar.bz2 file.');
+      error.code = 'UNSUPPORTED_ARCHIVE';
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  return { ...result, format };
+}
@@ -0,0 +1,38 @@
+import axios from 'axios';
+import { getGitHubHeaders } from './github.js';
+
+const PER_PAGE = 100;
+
+// Every page of a GitHub list endpoint as [{ etag, items, hasNext }]. Pages
+// from an earlier call are sent back with their ETag; GitHub answers the
+// unchanged ones with 304 Not Modified, which doesn't count against the rate
+// limit, and the earlier page is reused as is.
+//   previous  pages an earlier call returned
+//   select    picks the list out of a response body
+//   map       turns each listed item into what is kept
+export async function fetchAllPages(url, token, { params = {}, previous = [], select = data => data, map = item => item } = {}) {
+  const pages = [];
+
+  for (let page = 1; ; page++) {
+    const cached = previous[page - 1];
+    const response = await axios.get(url, {
+      headers: {
+        ...getGitHubHeaders(token),
+        ...(cached?.etag && { 'If-None-Match': cached.etag })
+      },
+      params: { ...params, per_page: PER_PAGE, page },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    const current = response.status === 304 ? cached : {
+      etag: response.headers.etag || null,
+      items: select(response.data).map(map),
+      hasNext: Boolean(response.headers.link?.includes('rel="next"'))
+    };
+    pages.push(current);
+
+    if (!current.hasNext) {
+      return pages;
+    }
+  }
+}
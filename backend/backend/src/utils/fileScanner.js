@@ -1,84 +1,69 @@
-import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
-import { isValidPath } from './pathSanitizer.js';
+import { createBlobHash } from './gitData.js';
+import { getPathProblem } from './pathSanitizer.js';
 
+// `files` are uploads already on disk: { name, webkitRelativePath, size,
+// fullPath }. Contents stay there; only the blob SHA is computed up front.
 export async function scanFileSystem(files, basePath = '') {
   const fileList = [];
+  const skipped = [];
   
   for (const file of files) {
-    if (!file.webkitRelativePath && !file.path) {
-      // Single file
-      const targetPath = path.join(basePath, file.name).replace(/\\/g, '/');
-      
-      if (!isValidPath(targetPath)) {
-        console.warn(`Skipping invalid path: ${targetPath}`);
-        continue;
-      }
-      
-      const content = await readFileAsBuffer(file);
-      
-      fileList.push({
-        path: targetPath,
-        name: file.name,
-        size: file.size,
-        content: content.toString('base64'),
-        type: 'file'
-      });
-    } else {
-      // File from directory (has webkitRelativePath)
-      const relativePath = file.webkitRelativePath || file.path;
-      const targetPath = path.join(basePath, relativePath).replace(/\\/g, '/');
-      
-      if (!isValidPath(targetPath)) {
-        console.warn(`Skipping invalid path: ${targetPath}`);
-        continue;
-      }
-      
-      const content = await readFileAsBuffer(file);
-      
-      fileList.push({
-        path: targetPath,
-        name: path.basename(relativePath),
-        size: file.size,
-        content: content.toString('base64'),
-        type: 'file'
-      });
+    // Files from a folder carry their path inside it, single files just a name
+    const relativePath = (file.webkitRelativePath || file.name).replace(/\\/g, '/');
+    // Validated before normalizing: path.join would resolve `..` segments
+    // away and let a file climb out of basePath
+    const joinedPath = basePath ? `${basePath.replace(/\/+$/, '')}/${relativePath}` : relativePath;
+    const problem = getPathProblem(joinedPath) || getPathProblem(path.posix.normalize(joinedPath));
+    
+    // Paths that cannot be committed are reported back to the user
+    if (problem) {
+      console.warn(`Skipping ${joinedPath}: ${problem}`);
+      skipped.push({ path: joinedPath, size: file.size, reason: problem });
+      continue;
     }
+    
+    const targetPath = path.posix.normalize(joinedPath);
+    
+    fileList.push({
+      path: targetPath,
+      name: path.posix.basename(targetPath),
+      size: file.size,
+      sha: await hashFile(file.fullPath, file.size),
+      fullPath: file.fullPath,
+      type: 'file'
+    });
   }
   
   return {
     files: fileList,
+    skipped,
     fileCount: fileList.length,
     totalSize: fileList.reduce((sum, file) => sum + file.size, 0)
   };
 }
 
-async function readFileAsBuffer(file) {
-  if (file.buffer) {
-    return Buffer.from(file.buffer);
+async function hashFile(fullPath, size) {
+  const hash = createBlobHash(size);
+  for await (const chunk of createReadStream(fullPath)) {
+    hash.update(chunk);
   }
-  
-  if (file.arrayBuffer) {
-    const arrayBuffer = await file.arrayBuffer();
-    return Buffer.from(arrayBuffer);
-  }
-  
-  // For File objects in Node.js (from multer)
-  if (file.buffer && Buffer.isBuffer(file.buffer)) {
-    return file.buffer;
-  }
-  
-  throw new Error('Unsupported file type or missing buffer');
+  return hash.digest('hex');
 }
 
 export function validateFileList(files, maxFiles = 1000, maxTotalSize = 100 * 1024 * 1024) {
   if (files.length > maxFiles) {
-    throw new Error(`Too many files. Maximum allowed: ${maxFiles}`);
+    const error = new Error(`Too many files. Maximum allowed: ${maxFiles}`);
+    error.status = 413;
+    throw error;
   }
   
   const totalSize = files.reduce((sum, file) => sum + file.size, 0);
   if (totalSize > maxTotalSize) {
-    throw new Error(`Total size exceeds limit of ${maxTotalSize / 1024 / 1024}MB`);
+    const error = new Error(`Total size exceeds limit of ${maxTotalSize / 1024 / 1024}MB`);
+    error.status = 413;
+    throw error;
   }
   
   return true;
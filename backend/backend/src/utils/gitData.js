@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import GITHUB_CONFIG, { getGitHubHeaders } from './github.js';
+
+// A trailing `signal` argument is handed to axios, so cancelling an upload
+// aborts its in-flight requests
+function repoEndpoint(repoConfig, suffix) {
+  return `${GITHUB_CONFIG.API_BASE}/repos/${repoConfig.owner}/${repoConfig.repo}${suffix}`;
+}
+
+// Ref names keep their slashes (feature/foo), only the segments are encoded
+function encodeRef(branch) {
+  return branch.split('/').map(encodeURIComponent).join('/');
+}
+
+export async function getBranchHead(repoConfig, token, branch = repoConfig.branch, signal) {
+  const refResponse = await axios.get(
+    repoEndpoint(repoConfig, `/git/ref/heads/${encodeRef(branch)}`),
+    { headers: getGitHubHeaders(token), signal }
+  );
+  const commitSha = refResponse.data.object.sha;
+
+  const commitResponse = await axios.get(
+    repoEndpoint(repoConfig, `/git/commits/${commitSha}`),
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return {
+    commitSha,
+    treeSha: commitResponse.data.tree.sha
+  };
+}
+
+export async function getRecursiveTree(repoConfig, token, treeSha) {
+  const response = await axios.get(
+    repoEndpoint(repoConfig, `/git/trees/${treeSha}`),
+    {
+      headers: getGitHubHeaders(token),
+      params: { recursive: 1 }
+    }
+  );
+
+  const entries = new Map();
+  for (const entry of response.data.tree) {
+    if (entry.type === 'blob') {
+      entries.set(entry.path, {
+        sha: entry.sha,
+        mode: entry.mode,
+        size: entry.size
+      });
+    }
+  }
+
+  return {
+    entries,
+    truncated: response.data.truncated
+  };
+}
+
+export async function getBlobContent(repoConfig, token, blobSha) {
+  const response = await axios.get(
+    repoEndpoint(repoConfig, `/git/blobs/${blobSha}`),
+    { headers: getGitHubHeaders(token) }
+  );
+
+  return Buffer.from(response.data.content, response.data.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// Same SHA git would assign to the content, so files can be compared with a
+// tree listing without downloading anything
+export function computeBlobSha(content) {
+  return createBlobHash(content.length).update(content).digest('hex');
+}
+
+// Incremental form of computeBlobSha for content that is streamed; `size`
+// must be the exact number of bytes that will be fed in
+export function createBlobHash(size) {
+  return crypto.createHash('sha1').update(`blob ${size}\0`);
+}
+
+// Returns the full response so the caller can inspect rate limit headers
+export async function createBlob(repoConfig, token, content, encoding = 'base64', signal) {
+  const response = await axios.post(
+    repoEndpoint(repoConfig, '/git/blobs'),
+    { content, encoding },
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return response;
+}
+
+export async function createTree(repoConfig, token, baseTreeSha, entries, signal) {
+  const response = await axios.post(
+    repoEndpoint(repoConfig, '/git/trees'),
+    {
+      base_tree: baseTreeSha,
+      tree: entries
+    },
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return response.data.sha;
+}
+
+export async function createCommit(repoConfig, token, { message, treeSha, parents }, signal) {
+  const response = await axios.post(
+    repoEndpoint(repoConfig, '/git/commits'),
+    {
+      message,
+      tree: treeSha,
+      parents
+    },
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return response.data;
+}
+
+export async function updateBranchRef(repoConfig, token, branch, commitSha, signal) {
+  // Never force: if someone pushed while we were uploading, fail instead of
+  // discarding their commit
+  const response = await axios.patch(
+    repoEndpoint(repoConfig, `/git/refs/heads/${encodeRef(branch)}`),
+    {
+      sha: commitSha,
+      force: false
+    },
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return response.data;
+}
+
+export async function createBranchRef(repoConfig, token, branch, commitSha, signal) {
+  const response = await axios.post(
+    repoEndpoint(repoConfig, '/git/refs'),
+    {
+      ref: `refs/heads/${branch}`,
+      sha: commitSha
+    },
+    { headers: getGitHubHeaders(token), signal }
+  );
+
+  return response.data;
+}
+
+// The commit a branch points at, or null when the branch does not exist
+export async function getBranchRefSha(repoConfig, token, branch) {
+  try {
+    const response = await axios.get(
+      repoEndpoint(repoConfig, `/git/ref/heads/${encodeRef(branch)}`),
+      { headers: getGitHubHeaders(token) }
+    );
+    return response.data.object.sha;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function branchExists(repoConfig, token, branch) {
+  return (await getBranchRefSha(repoConfig, token, branch)) !== null;
+}
+
+// Content of one file on a branch, or null when the file does not exist
+export async function getFileContent(repoConfig, token, filePath, branch) {
+  try {
+    const response = await axios.get(
+      repoEndpoint(repoConfig, `/contents/${filePath.split('/').map(encodeURIComponent).join('/')}`),
+      {
+        headers: getGitHubHeaders(token),
+        params: { ref: branch }
+      }
+    );
+    return Buffer.from(response.data.content, 'base64');
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Classic branch protection, or null when there is none or the app may not
+// read it (that takes the administration permission)
+export async function getBranchProtection(repoConfig, token, branch) {
+  try {
+    const response = await axios.get(
+      repoEndpoint(repoConfig, `/branches/${encodeRef(branch)}/protection`),
+      { headers: getGitHubHeaders(token) }
+    );
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 403 || error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Ruleset rules that apply to a branch, readable with metadata access alone
+export async function getBranchRules(repoConfig, token, branch) {
+  const response = await axios.get(
+    repoEndpoint(repoConfig, `/rules/branches/${encodeRef(branch)}`),
+    {
+      headers: getGitHubHeaders(token),
+      params: { per_page: 100 }
+    }
+  );
+
+  return response.data;
+}
+
+// Whether any active ruleset targets branches, so branches without classic
+// protection only need their rules looked up when one does
+export async function hasBranchRulesets(repoConfig, token) {
+  const response = await axios.get(
+    repoEndpoint(repoConfig, '/rulesets'),
+    {
+      headers: getGitHubHeaders(token),
+      params: { per_page: 100, includes_parents: true }
+    }
+  );
+
+  return response.data.some(ruleset => ruleset.target === 'branch' && ruleset.enforcement === 'active');
+}
+
+export async function createPullRequest(repoConfig, token, { title, body, head, base }) {
+  const response = await axios.post(
+    repoEndpoint(repoConfig, '/pulls'),
+    { title, body, head, base },
+    { headers: getGitHubHeaders(token) }
+  );
+
+  return response.data;
+}
+
+export function isValidBranchName(branch) {
+  if (!branch || typeof branch !== 'string' || branch.length > 250) {
+    return false;
+  }
+
+  // Subset of git check-ref-format rules
+  return !(
+    /^[/.]|[/.]$/.test(branch) ||
+    /\.\.|\/\/|@\{|\.lock(\/|$)/.test(branch) ||
+    /[\x00-\x20~^:?*[\\\x7f]/.test(branch) ||
+    branch === '@'
+  );
+}
@@ -12,6 +12,12 @@ const GITHUB_CONFIG = {
   MAX_FILES_PER_UPLOAD: 1000,
   UPLOAD_CONCURRENCY: 3,
   
+  // Mirror mode: most files a single upload may delete from the branch.
+  // Read per call because .env is loaded after this module is imported
+  get MAX_MIRROR_DELETIONS() {
+    return parseInt(process.env.MAX_MIRROR_DELETIONS) || 100;
+  },
+  
   // Timeouts
   REQUEST_TIMEOUT: 30000, // 30 seconds
   UPLOAD_TIMEOUT: 300000, // 5 minutes
@@ -35,35 +41,7 @@ const GITHUB_CONFIG = {
   
   // File upload defaults
   DEFAULT_COMMIT_MESSAGE: 'Upload files via GitHub Folder Uploader',
-  DEFAULT_BRANCH: 'main',
-  
-  // Validation
-  ALLOWED_FILE_TYPES: [
-    // Text files
-    '.txt', '.md', '.json', '.yml', '.yaml', '.xml', '.csv',
-    // Code files
-    '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.h',
-    '.html', '.css', '.scss', '.sass', '.less',
-    '.php', '.rb', '.go', '.rs', '.swift', '.kt', '.dart',
-    // Configuration
-    '.env', '.gitignore', '.dockerignore', '.editorconfig',
-    // Documents
-    '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
-    // Images
-    '.jpg', '.jpeg', '.png', '.gif', '.svg', '.bmp', '.webp',
-    // Archives (only for extraction)
-    '.zip'
-  ],
-  
-  // Blocked file patterns (regex)
-  BLOCKED_PATTERNS: [
-    /\.(exe|dll|so|dylib|bat|cmd|sh|bin)$/i,
-    /^\.git(\/|$)/i,
-    /\/\.git(\/|$)/i,
-    /^(node_modules|\.env|\.idea|\.vscode)(\/|$)/i,
-    /package-lock\.json$/i,
-    /yarn\.lock$/i
-  ]
+  DEFAULT_BRANCH: 'main'
 };
 
 export default GITHUB_CONFIG;
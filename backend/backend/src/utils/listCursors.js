@@ -0,0 +1,49 @@
+// Orders for the repository list's ?sort=, each with what a cursor has to
+// remember to resume after a repository. Ties are broken by id so the order
+// is total.
+export const REPO_SORTS = {
+  updated: {
+    compare: (a, b) => (b.updated_at || '').localeCompare(a.updated_at || '') || a.id - b.id,
+    position: repo => ({ updated_at: repo.updated_at, id: repo.id }),
+    isPosition: position => typeof position.id === 'number' && typeof position.updated_at === 'string'
+  },
+  name: {
+    compare: (a, b) => a.full_name.toLowerCase().localeCompare(b.full_name.toLowerCase()) || a.id - b.id,
+    position: repo => ({ full_name: repo.full_name, id: repo.id }),
+    isPosition: position => typeof position.id === 'number' && typeof position.full_name === 'string'
+  }
+};
+
+// Cursors are opaque to the frontend: base64url JSON of where the previous
+// page ended
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+// The repository a repository list cursor resumes after, or null when the
+// cursor is malformed or was made for another sort
+export function decodeRepoCursor(cursor, sort) {
+  const after = decodeCursor(cursor);
+  if (after?.sort !== sort || !after.position || typeof after.position !== 'object') {
+    return null;
+  }
+  return REPO_SORTS[sort].isPosition(after.position) ? after.position : null;
+}
+
+// The branch, and its offset, a branch list cursor resumes after, or null
+export function decodeBranchCursor(cursor) {
+  const after = decodeCursor(cursor);
+  if (typeof after?.name !== 'string' || !Number.isInteger(after.offset) || after.offset < 0) {
+    return null;
+  }
+  return { name: after.name, offset: after.offset };
+}
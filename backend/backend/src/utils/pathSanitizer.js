@@ -46,36 +46,45 @@ export function sanitizePath(filePath) {
   return validParts.join('/');
 }
 
-export function isValidPath(filePath) {
+// Why a path cannot be committed, as a reason code reported back to the
+// user, or null when it is fine
+export function getPathProblem(filePath) {
   if (!filePath || typeof filePath !== 'string') {
-    return false;
+    return 'invalid-characters';
   }
   
   // Check length
   if (filePath.length > 500) {
-    return false;
+    return 'path-too-long';
   }
   
-  // Check for dangerous patterns
-  const dangerousPatterns = [
-    /\.git(\/|$)/i,
-    /\/\.git(\/|$)/i,
-    /^\.git(\/|$)/i,
+  // Paths that would climb out of the target directory
+  const traversalPatterns = [
     /\.\.(\/|$)/,
     /\/\.\.(\/|$)/,
     /^\.\.(\/|$)/,
+    /^\//
+  ];
+  
+  if (traversalPatterns.some(pattern => pattern.test(filePath))) {
+    return 'traversal';
+  }
+  
+  // Git's own directory can never be written through the API
+  if (/\.git(\/|$)/i.test(filePath)) {
+    return 'reserved-name';
+  }
+  
+  const invalidPatterns = [
     /\/\/+/,
-    /^\//,
     /\/$/,
     /[<>:"|?*]/,
     /^\s|\s$/,
     /\0/
   ];
   
-  for (const pattern of dangerousPatterns) {
-    if (pattern.test(filePath)) {
-      return false;
-    }
+  if (invalidPatterns.some(pattern => pattern.test(filePath))) {
+    return 'invalid-characters';
   }
   
   // Check for reserved names (Windows)
@@ -87,26 +96,14 @@ export function isValidPath(filePath) {
   
   const fileName = path.basename(filePath).toUpperCase().replace(/\..*$/, '');
   if (reservedNames.includes(fileName)) {
-    return false;
+    return 'reserved-name';
   }
   
-  // Check file extension
-  const ext = path.extname(filePath).toLowerCase();
-  const blockedExtensions = [
-    '.exe', '.bat', '.cmd', '.sh', '.bin',
-    '.dll', '.so', '.dylib', '.sys',
-    '.php', '.php3', '.php4', '.php5', '.phtml',
-    '.py', '.pyc', '.pyo', '.pyw',
-    '.pl', '.pm', '.t', '.cgi',
-    '.js', '.jse', '.vbs', '.vbe', '.wsf',
-    '.jar', '.war', '.ear', '.class'
-  ];
-  
-  if (blockedExtensions.includes(ext)) {
-    return false;
-  }
-  
-  return true;
+  return null;
+}
+
+export function isValidPath(filePath) {
+  return getPathProblem(filePath) === null;
 }
 
 export function getParentDirectory(filePath) {
@@ -0,0 +1,164 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { Transform } from 'stream';
+import { pipeline, finished } from 'stream/promises';
+import tar from 'tar-stream';
+import bz2 from 'unbzip2-stream';
+import { getPathProblem } from './pathSanitizer.js';
+import {
+  RATIO_CHECK_MIN_SIZE,
+  getExtractionLimits,
+  limitError,
+  unsafeArchiveError,
+  createExtractDir,
+  resolveEntryPath,
+  writeArchiveEntry,
+  cleanupTemp
+} from './zipExtractor.js';
+
+const DECOMPRESSORS = {
+  gzip: () => zlib.createGunzip(),
+  bzip2: () => bz2()
+};
+
+// Tar does not restrict names at all; refuse the same ones yauzl refuses in
+// a ZIP listing
+function checkEntryName(name) {
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    throw unsafeArchiveError(`Archive contains an unsafe entry name (absolute path: ${name})`);
+  }
+  if (name.includes('\\') || name.split('/').includes('..')) {
+    throw unsafeArchiveError(`Archive contains an unsafe entry name (invalid relative path: ${name})`);
+  }
+}
+
+// Entries we don't write still have to be read past
+function skipEntry(stream) {
+  stream.resume();
+  return finished(stream);
+}
+
+// Tar has no central directory to check up front, so the ZIP limits are
+// enforced while streaming instead: each header is checked before its body
+// is written, and inflated bytes are counted as they are produced.
+// `compression` is null, 'gzip' or 'bzip2'.
+export async function extractTar(archivePath, compression, basePath = '') {
+  const { tempId, extractDir } = createExtractDir();
+  const limits = getExtractionLimits();
+
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+  let entryCount = 0;
+
+  const handleEntry = async (header, stream) => {
+    entryCount++;
+    if (entryCount > limits.maxEntries) {
+      throw limitError(`Archive contains more than ${limits.maxEntries} entries`);
+    }
+
+    const name = header.name.replace(/^(\.\/)+/, '');
+    checkEntryName(name);
+
+    // Directories are created as their files are written
+    if (header.type === 'directory' || !name) {
+      return skipEntry(stream);
+    }
+
+    const targetPath = path.posix.join(basePath, name);
+
+    // A link could point anywhere on the server; it is never written
+    if (header.type === 'symlink' || header.type === 'link') {
+      console.warn(`Skipping symlink: ${targetPath}`);
+      skipped.push({ path: targetPath, size: 0, reason: 'symlink' });
+      return skipEntry(stream);
+    }
+
+    // Devices, FIFOs and the like have no place in a repository
+    if (header.type !== 'file' && header.type !== 'contiguous-file') {
+      console.warn(`Skipping ${header.type} entry: ${targetPath}`);
+      skipped.push({ path: targetPath, size: 0, reason: 'special-file' });
+      return skipEntry(stream);
+    }
+
+    // Paths that cannot be committed are reported back to the user
+    const problem = getPathProblem(targetPath);
+    if (problem) {
+      console.warn(`Skipping ${targetPath}: ${problem}`);
+      skipped.push({ path: targetPath, size: header.size, reason: problem });
+      return skipEntry(stream);
+    }
+
+    if (files.length >= limits.maxFiles) {
+      throw limitError(`Upload contains more than ${limits.maxFiles} files`);
+    }
+
+    if (header.size > limits.maxFileSize) {
+      throw limitError(`${name} exceeds the maximum file size of ${limits.maxFileSize / 1024 / 1024}MB`);
+    }
+
+    if (totalSize + header.size > limits.maxTotalSize) {
+      throw limitError(`Upload exceeds the maximum uncompressed size of ${limits.maxTotalSize / 1024 / 1024}MB`);
+    }
+
+    const fullPath = resolveEntryPath(extractDir, name);
+    const { size, sha } = await writeArchiveEntry(stream, header.size, fullPath, limits.maxTotalSize - totalSize);
+    totalSize += size;
+
+    files.push({
+      path: targetPath,
+      name: path.posix.basename(targetPath),
+      size,
+      sha,
+      fullPath
+    });
+  };
+
+  try {
+    const { size: compressedSize } = await fs.stat(archivePath);
+
+    const extract = tar.extract();
+    extract.on('entry', (header, stream, next) => {
+      handleEntry(header, stream).then(() => next(), next);
+    });
+
+    const stages = [createReadStream(archivePath)];
+
+    if (compression) {
+      // The whole-archive ratio check a ZIP gets from its listing, done on
+      // the bytes as they come out of the decompressor
+      let inflated = 0;
+      stages.push(DECOMPRESSORS[compression](), new Transform({
+        transform(chunk, encoding, callback) {
+          inflated += chunk.length;
+          if (inflated >= RATIO_CHECK_MIN_SIZE && inflated > compressedSize * limits.maxRatio) {
+            return callback(limitError(`Archive expands more than ${limits.maxRatio} times, refusing a likely zip bomb`));
+          }
+          callback(null, chunk);
+        }
+      }));
+    }
+
+    await pipeline(...stages, extract);
+
+    return {
+      files,
+      skipped,
+      tempId,
+      extractDir,
+      fileCount: files.length,
+      totalSize
+    };
+
+  } catch (error) {
+    // Cleanup on error
+    await cleanupTemp(tempId).catch(() => {});
+
+    const wrapped = new Error(`Failed to extract TAR archive: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.status = error.status || 400;
+    throw wrapped;
+  }
+}
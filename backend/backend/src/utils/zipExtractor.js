@@ -1,83 +1,270 @@
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
-import AdmZip from 'adm-zip';
-import { isValidPath } from './pathSanitizer.js';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import GITHUB_CONFIG from './github.js';
+import { createBlobHash } from './gitData.js';
+import { getPathProblem } from './pathSanitizer.js';
 
-export async function extractZip(zipBuffer, basePath = '') {
+// Small entries legitimately compress very well (a file of spaces), so the
+// per-entry ratio is only checked from this size up
+export const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// Unix file type bits live in the high half of the external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Limits on what an archive may expand to. The compressed size is already
+// capped by multer; these stop a small archive from inflating without bound.
+// Read per call because .env is loaded after this module is imported.
+export function getExtractionLimits() {
+  return {
+    maxTotalSize: parseInt(process.env.MAX_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024,
+    maxFileSize: GITHUB_CONFIG.MAX_FILE_SIZE,
+    maxFiles: GITHUB_CONFIG.MAX_FILES_PER_UPLOAD,
+    maxEntries: parseInt(process.env.MAX_ARCHIVE_ENTRIES) || 10000,
+    maxRatio: parseInt(process.env.MAX_COMPRESSION_RATIO) || 100
+  };
+}
+
+export function limitError(message) {
+  const error = new Error(message);
+  error.code = 'EXTRACTION_LIMIT';
+  error.status = 413;
+  return error;
+}
+
+export function unsafeArchiveError(message) {
+  const error = new Error(message);
+  error.code = 'UNSAFE_ARCHIVE';
+  error.status = 400;
+  return error;
+}
+
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    // autoClose off: entries are read back after the whole listing is checked
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+      error ? reject(error) : resolve(zipFile);
+    });
+  });
+}
+
+function openEntryStream(zipFile, entry) {
+  return new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => {
+      error ? reject(error) : resolve(stream);
+    });
+  });
+}
+
+// Reads the central directory only; nothing is inflated. Stops early once
+// the archive has more entries than we would accept anyway.
+function listEntries(zipFile, maxEntries) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    
+    zipFile.on('entry', (entry) => {
+      entries.push(entry);
+      if (entries.length > maxEntries) {
+        reject(limitError(`Archive contains more than ${maxEntries} entries`));
+        return;
+      }
+      zipFile.readEntry();
+    });
+    zipFile.on('end', () => resolve(entries));
+    zipFile.on('error', (error) => {
+      // yauzl refuses absolute names, `..` segments and backslashes while
+      // parsing the listing, before we ever see the entry
+      if (/^(absolute path|invalid relative path|invalid characters in fileName)/.test(error.message)) {
+        reject(unsafeArchiveError(`Archive contains an unsafe entry name (${error.message})`));
+      } else {
+        reject(error);
+      }
+    });
+    zipFile.readEntry();
+  });
+}
+
+function isSymlink(entry) {
+  return ((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+// Everything here uses the sizes the central directory declares, so a bomb
+// is refused before a byte is inflated. Inflated bytes are counted again
+// during extraction in case the declared sizes lie.
+function inspectEntries(entries, limits) {
+  let totalSize = 0;
+  let totalCompressed = 0;
+  let fileCount = 0;
+  
+  for (const entry of entries) {
+    if (entry.fileName.endsWith('/') || isSymlink(entry)) {
+      continue;
+    }
+    
+    fileCount++;
+    totalSize += entry.uncompressedSize;
+    totalCompressed += entry.compressedSize;
+    
+    if (entry.uncompressedSize > limits.maxFileSize) {
+      throw limitError(`${entry.fileName} exceeds the maximum file size of ${limits.maxFileSize / 1024 / 1024}MB`);
+    }
+    
+    if (
+      entry.uncompressedSize >= RATIO_CHECK_MIN_SIZE &&
+      entry.uncompressedSize > entry.compressedSize * limits.maxRatio
+    ) {
+      throw limitError(`${entry.fileName} expands more than ${limits.maxRatio} times, refusing a likely zip bomb`);
+    }
+  }
+  
+  if (fileCount > limits.maxFiles) {
+    throw limitError(`Upload contains more than ${limits.maxFiles} files`);
+  }
+  
+  if (totalSize > limits.maxTotalSize) {
+    throw limitError(`Upload expands to ${Math.ceil(totalSize / 1024 / 1024)}MB, more than the maximum of ${limits.maxTotalSize / 1024 / 1024}MB`);
+  }
+  
+  if (totalSize >= RATIO_CHECK_MIN_SIZE && totalSize > totalCompressed * limits.maxRatio) {
+    throw limitError(`Archive expands more than ${limits.maxRatio} times, refusing a likely zip bomb`);
+  }
+}
+
+// A temp directory for one upload, named so cleanupTemp can find it
+export function createExtractDir() {
   const tempDir = process.env.TEMP_UPLOAD_DIR || './temp_uploads';
   const tempId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const extractDir = path.join(tempDir, tempId);
+  return { tempId, extractDir: path.resolve(tempDir, tempId) };
+}
+
+// Where an entry is written, refusing anything that would land outside the
+// extraction directory
+export function resolveEntryPath(extractDir, entryName) {
+  const fullPath = path.resolve(extractDir, entryName);
+  if (!fullPath.startsWith(extractDir + path.sep)) {
+    throw unsafeArchiveError(`Archive entry escapes the extraction directory: ${entryName}`);
+  }
+  return fullPath;
+}
+
+// Streams one entry to disk and hashes it on the way, so its git blob SHA is
+// known without reading the file back. `declaredSize` must be exact: yauzl
+// checks inflated sizes against it, tar bodies are always that long.
+export async function writeArchiveEntry(source, declaredSize, fullPath, budget) {
+  const hash = createBlobHash(declaredSize);
+  let size = 0;
+  
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      // Counted on the bytes actually inflated, not what the archive claims
+      size += chunk.length;
+      if (size > budget) {
+        return callback(limitError('Upload exceeds the maximum uncompressed size'));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await pipeline(source, meter, createWriteStream(fullPath));
+  
+  return { size, sha: hash.digest('hex') };
+}
+
+// Extracts the archive at `zipPath` into a temp directory. The central
+// directory is checked as a whole first; entries are then inflated one at a
+// time. File contents stay on disk; upload jobs read them when they run.
+export async function extractZip(zipPath, basePath = '') {
+  const { tempId, extractDir } = createExtractDir();
+  const limits = getExtractionLimits();
+  
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+  let zipFile = null;
   
   try {
+    zipFile = await openZip(zipPath);
+    const entries = await listEntries(zipFile, limits.maxEntries);
+    inspectEntries(entries, limits);
+    
     // Create temp directory
     await fs.mkdir(extractDir, { recursive: true });
     
-    // Extract ZIP
-    const zip = new AdmZip(zipBuffer);
-    zip.extractAllTo(extractDir, true);
-    
-    // Scan extracted files
-    const files = await scanDirectory(extractDir, '', basePath);
-    
-    // Read file contents
-    const fileContents = await Promise.all(
-      files.map(async (file) => {
-        const content = await fs.readFile(file.fullPath);
-        return {
-          path: file.relativePath,
-          name: path.basename(file.relativePath),
-          size: content.length,
-          content: content.toString('base64'),
-          fullPath: file.fullPath
-        };
-      })
-    );
+    for (const entry of entries) {
+      // Directories are created as their files are written
+      if (entry.fileName.endsWith('/')) {
+        continue;
+      }
+      
+      const targetPath = path.posix.join(basePath, entry.fileName);
+      
+      // A symlink could point anywhere on the server; it is never written
+      if (isSymlink(entry)) {
+        console.warn(`Skipping symlink: ${targetPath}`);
+        skipped.push({ path: targetPath, size: entry.uncompressedSize, reason: 'symlink' });
+        continue;
+      }
+      
+      // Paths that cannot be committed are reported back to the user
+      const problem = getPathProblem(targetPath);
+      if (problem) {
+        console.warn(`Skipping ${targetPath}: ${problem}`);
+        skipped.push({ path: targetPath, size: entry.uncompressedSize, reason: problem });
+        continue;
+      }
+      
+      // yauzl already refused escaping names; this holds even if it didn't
+      const fullPath = resolveEntryPath(extractDir, entry.fileName);
+      const { size, sha } = await writeArchiveEntry(
+        await openEntryStream(zipFile, entry),
+        entry.uncompressedSize,
+        fullPath,
+        limits.maxTotalSize - totalSize
+      );
+      totalSize += size;
+      
+      files.push({
+        path: targetPath,
+        name: path.posix.basename(targetPath),
+        size,
+        sha,
+        fullPath
+      });
+    }
     
     return {
-      files: fileContents,
+      files,
+      skipped,
       tempId,
       extractDir,
-      fileCount: fileContents.length,
-      totalSize: fileContents.reduce((sum, file) => sum + file.size, 0)
+      fileCount: files.length,
+      totalSize
     };
     
   } catch (error) {
     // Cleanup on error
     await cleanupTemp(tempId).catch(() => {});
-    error.tempId = tempId;
-    throw new Error(`Failed to extract ZIP file: ${error.message}`);
+    
+    const wrapped = new Error(`Failed to extract ZIP file: ${error.message}`);
+    wrapped.code = error.code;
+    wrapped.status = error.status || 400;
+    throw wrapped;
+  } finally {
+    zipFile?.close();
   }
 }
 
-async function scanDirectory(dir, relativeDir = '', basePath = '') {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  const files = [];
-  
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    const relativePath = path.join(relativeDir, entry.name);
-    const targetPath = path.join(basePath, relativePath).replace(/\\/g, '/');
-    
-    // Skip invalid paths
-    if (!isValidPath(targetPath)) {
-      console.warn(`Skipping invalid path: ${targetPath}`);
-      continue;
-    }
-    
-    if (entry.isDirectory()) {
-      // Recursively scan subdirectories
-      const subFiles = await scanDirectory(fullPath, relativePath, basePath);
-      files.push(...subFiles);
-    } else if (entry.isFile()) {
-      files.push({
-        fullPath,
-        relativePath: targetPath,
-        isDirectory: false
-      });
-    }
-  }
-  
-  return files;
+// Loads a file's content when its upload job runs, not when the session is
+// created, so a session never holds every file in memory
+export async function readUploadFile(file) {
+  const content = await fs.readFile(file.fullPath);
+  return content.toString('base64');
 }
 
 export async function cleanupTemp(tempId) {
@@ -91,10 +278,3 @@ export async function cleanupTemp(tempId) {
     console.warn(`Failed to cleanup temp directory ${tempId}:`, error.message);
   }
 }
-
-export function validateZipSize(zipBuffer, maxSize = 100 * 1024 * 1024) {
-  if (zipBuffer.length > maxSize) {
-    throw new Error(`ZIP file exceeds maximum size of ${maxSize / 1024 / 1024}MB`);
-  }
-  return true;
-}
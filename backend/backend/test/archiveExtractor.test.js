@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import tar from 'tar-stream';
+import { detectArchiveFormat, extractArchive } from '../src/utils/archiveExtractor.js';
+
+// `git hash-object` of "hello\n"
+const HELLO_SHA = 'ce013625030ba8dba906f756967f9e9ca394464a';
+
+// A tar holding docs/readme.md ("hello\n"), compressed with `bzip2 -9`;
+// nothing in node_modules writes bzip2
+const HELLO_TAR_BZ2 = Buffer.from(
+  'QlpoOTFBWSZTWY8oLFoAADrbkNEQQAH3hBAAbkaeAAQAAAggAHQgSGJkA9INo1BKaoZNBkADQK9E9/zDgYpmgoGHMThFSRLHjuFiYSGFqmo6ZSI4yQCpNwYGHT4PxzHS29vkNFaF61MordlbgR/F3JFOFCQjygsWgA==',
+  'base64'
+);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A ZIP of `entries` ({ name, content, symlink }), deflated, with the unix
+// mode in the external attributes the way Info-ZIP writes it
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content, symlink = false } of entries) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(((symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// A tar of `entries` ({ name, content } or tar-stream headers such as
+// { name, type: 'symlink', linkname })
+async function buildTar(entries) {
+  const pack = tar.pack();
+  for (const { content = '', ...header } of entries) {
+    pack.entry(header, header.type === 'symlink' ? undefined : content);
+  }
+  pack.finalize();
+
+  const chunks = [];
+  for await (const chunk of pack) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+let workDir;
+let archiveCount = 0;
+
+async function writeArchive(buffer) {
+  const archivePath = path.join(workDir, `archive-${++archiveCount}`);
+  await fs.writeFile(archivePath, buffer);
+  return archivePath;
+}
+
+async function extract(buffer, basePath) {
+  return extractArchive(await writeArchive(buffer), basePath);
+}
+
+// Extract directories left behind under TEMP_UPLOAD_DIR
+async function leftoverUploads() {
+  return (await fs.readdir(process.env.TEMP_UPLOAD_DIR)).filter(name => name.startsWith('upload_'));
+}
+
+const hello = [{ name: 'docs/readme.md', content: 'hello\n' }];
+
+beforeAll(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+  process.env.TEMP_UPLOAD_DIR = path.join(workDir, 'uploads');
+  await fs.mkdir(process.env.TEMP_UPLOAD_DIR);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  delete process.env.TEMP_UPLOAD_DIR;
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+afterEach(async () => {
+  delete process.env.MAX_ARCHIVE_ENTRIES;
+  delete process.env.MAX_UNCOMPRESSED_SIZE;
+  // Successful extractions are the caller's to clean up
+  for (const name of await leftoverUploads()) {
+    await fs.rm(path.join(process.env.TEMP_UPLOAD_DIR, name), { recursive: true, force: true });
+  }
+});
+
+describe('detectArchiveFormat', () => {
+  test('reads the format from the first bytes, whatever the name', async () => {
+    const tarball = await buildTar(hello);
+
+    expect(await detectArchiveFormat(await writeArchive(buildZip(hello)))).toBe('zip');
+    expect(await detectArchiveFormat(await writeArchive(tarball))).toBe('tar');
+    expect(await detectArchiveFormat(await writeArchive(zlib.gzipSync(tarball)))).toBe('tar.gz');
+    expect(await detectArchiveFormat(await writeArchive(HELLO_TAR_BZ2))).toBe('tar.bz2');
+    expect(await detectArchiveFormat(await writeArchive(Buffer.from('just some text')))).toBeNull();
+  });
+
+  test('an unknown format is refused', async () => {
+    await expect(extract(Buffer.from('just some text'))).rejects.toMatchObject({
+      code: 'UNSUPPORTED_ARCHIVE',
+      status: 400
+    });
+  });
+});
+
+describe('extractArchive', () => {
+  test.each([
+    ['zip', () => buildZip(hello)],
+    ['tar', () => buildTar(hello)],
+    ['tar.gz', async () => zlib.gzipSync(await buildTar(hello))],
+    ['tar.bz2', () => HELLO_TAR_BZ2]
+  ])('extracts a %s archive under the base path', async (format, build) => {
+    const result = await extract(await build(), 'site');
+
+    expect(result.format).toBe(format);
+    expect(result.skipped).toEqual([]);
+    expect(result.files).toEqual([expect.objectContaining({
+      path: 'site/docs/readme.md',
+      name: 'readme.md',
+      size: 6,
+      sha: HELLO_SHA
+    })]);
+    expect(await fs.readFile(result.files[0].fullPath, 'utf8')).toBe('hello\n');
+  });
+});
+
+describe.each([
+  ['zip', buildZip, 'Failed to extract ZIP file'],
+  ['tar', buildTar, 'Failed to extract TAR archive']
+])('%s limits', (format, build, prefix) => {
+  test('too many entries', async () => {
+    process.env.MAX_ARCHIVE_ENTRIES = '2';
+    const entries = ['a', 'b', 'c'].map(name => ({ name, content: name }));
+
+    await expect(extract(await build(entries))).rejects.toMatchObject({
+      code: 'EXTRACTION_LIMIT',
+      status: 413,
+      message: `${prefix}: Archive contains more than 2 entries`
+    });
+    expect(await leftoverUploads()).toEqual([]);
+  });
+
+  test('too large once expanded', async () => {
+    process.env.MAX_UNCOMPRESSED_SIZE = '1000';
+    const entries = ['a', 'b'].map(name => ({ name, content: 'x'.repeat(600) }));
+
+    await expect(extract(await build(entries))).rejects.toMatchObject({
+      code: 'EXTRACTION_LIMIT',
+      status: 413
+    });
+    expect(await leftoverUploads()).toEqual([]);
+  });
+
+  test('unsafe entry names', async () => {
+    await expect(extract(await build([{ name: '../outside.txt', content: 'x' }]))).rejects.toMatchObject({
+      code: 'UNSAFE_ARCHIVE',
+      status: 400
+    });
+  });
+
+  test('symlinks are skipped, never written', async () => {
+    const entries = format === 'zip'
+      ? [...hello, { name: 'docs/passwd', content: '/etc/passwd', symlink: true }]
+      : [...hello, { name: 'docs/passwd', type: 'symlink', linkname: '/etc/passwd' }];
+
+    const result = await extract(await build(entries));
+
+    expect(result.files.map(file => file.path)).toEqual(['docs/readme.md']);
+    expect(result.skipped).toEqual([expect.objectContaining({ path: 'docs/passwd', reason: 'symlink' })]);
+    await expect(fs.lstat(path.join(result.extractDir, 'docs', 'passwd'))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
+
+describe('compression ratio', () => {
+  // 2MB of zeros deflates to a couple of kilobytes, far past the 100x cap
+  const zeros = [{ name: 'zeros.bin', content: Buffer.alloc(2 * 1024 * 1024) }];
+
+  test('a ZIP bomb is refused from its listing', async () => {
+    await expect(extract(buildZip(zeros))).rejects.toMatchObject({
+      code: 'EXTRACTION_LIMIT',
+      message: expect.stringContaining('refusing a likely zip bomb')
+    });
+    expect(await leftoverUploads()).toEqual([]);
+  });
+
+  test('a tar.gz bomb is refused while it inflates', async () => {
+    await expect(extract(zlib.gzipSync(await buildTar(zeros)))).rejects.toMatchObject({
+      code: 'EXTRACTION_LIMIT',
+      message: expect.stringContaining('refusing a likely zip bomb')
+    });
+    expect(await leftoverUploads()).toEqual([]);
+  });
+});
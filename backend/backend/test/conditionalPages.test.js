@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: jest.fn() }
+}));
+
+const { default: axios } = await import('axios');
+const { fetchAllPages } = await import('../src/utils/conditionalPages.js');
+
+const URL = 'https://api.github.com/installation/repositories';
+
+function page(etag, repositories, hasNext = false) {
+  return {
+    status: 200,
+    headers: { etag, ...(hasNext && { link: `<${URL}?page=2>; rel="next"` }) },
+    data: { repositories }
+  };
+}
+
+const notModified = { status: 304, headers: {}, data: '' };
+
+const options = {
+  select: data => data.repositories,
+  map: repo => ({ id: repo.id, name: repo.name })
+};
+
+beforeEach(() => {
+  axios.get.mockReset();
+});
+
+describe('fetchAllPages', () => {
+  test('follows the next links and keeps each page\'s ETag', async () => {
+    axios.get
+      .mockResolvedValueOnce(page('"p1"', [{ id: 1, name: 'api', private: true }], true))
+      .mockResolvedValueOnce(page('"p2"', [{ id: 2, name: 'docs', private: false }]));
+
+    const pages = await fetchAllPages(URL, 'token', options);
+
+    expect(pages).toEqual([
+      { etag: '"p1"', items: [{ id: 1, name: 'api' }], hasNext: true },
+      { etag: '"p2"', items: [{ id: 2, name: 'docs' }], hasNext: false }
+    ]);
+    expect(axios.get.mock.calls.map(([, config]) => config.params.page)).toEqual([1, 2]);
+    expect(axios.get.mock.calls[0][1].headers).not.toHaveProperty('If-None-Match');
+  });
+
+  test('a 304 reuses the earlier page as is', async () => {
+    const previous = [
+      { etag: '"p1"', items: [{ id: 1, name: 'api' }], hasNext: true },
+      { etag: '"p2"', items: [{ id: 2, name: 'docs' }], hasNext: false }
+    ];
+    axios.get
+      .mockResolvedValueOnce(notModified)
+      .mockResolvedValueOnce(page('"p2-new"', [{ id: 2, name: 'docs' }, { id: 3, name: 'web' }]));
+
+    const pages = await fetchAllPages(URL, 'token', { ...options, previous });
+
+    expect(pages[0]).toBe(previous[0]);
+    expect(pages[1]).toEqual({ etag: '"p2-new"', items: [{ id: 2, name: 'docs' }, { id: 3, name: 'web' }], hasNext: false });
+    expect(axios.get.mock.calls.map(([, config]) => config.headers['If-None-Match'])).toEqual(['"p1"', '"p2"']);
+
+    const { validateStatus } = axios.get.mock.calls[0][1];
+    expect(validateStatus(304)).toBe(true);
+    expect(validateStatus(404)).toBe(false);
+  });
+
+  test('a list that has grown fetches the new pages unconditionally', async () => {
+    const previous = [{ etag: '"p1"', items: [{ id: 1, name: 'api' }], hasNext: false }];
+    axios.get
+      .mockResolvedValueOnce(page('"p1-new"', [{ id: 1, name: 'api' }], true))
+      .mockResolvedValueOnce(page('"p2"', [{ id: 2, name: 'docs' }]));
+
+    const pages = await fetchAllPages(URL, 'token', { ...options, previous });
+
+    expect(pages.flatMap(current => current.items).map(item => item.id)).toEqual([1, 2]);
+    expect(axios.get.mock.calls[1][1].headers).not.toHaveProperty('If-None-Match');
+  });
+
+  test('a list that has shrunk stops at its last page', async () => {
+    const previous = [
+      { etag: '"p1"', items: [{ id: 1, name: 'api' }], hasNext: true },
+      { etag: '"p2"', items: [{ id: 2, name: 'docs' }], hasNext: false }
+    ];
+    axios.get.mockResolvedValueOnce(page('"p1-new"', [{ id: 1, name: 'api' }]));
+
+    const pages = await fetchAllPages(URL, 'token', { ...options, previous });
+
+    expect(pages).toHaveLength(1);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
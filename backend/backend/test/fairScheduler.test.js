@@ -0,0 +1,203 @@
+import { jest } from '@jest/globals';
+import { getEventListeners } from 'events';
+import FairScheduler from '../src/services/fairScheduler.js';
+
+// Lets the scheduler's promise chains settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Jobs that record when they start and finish only when told to
+function createJobs() {
+  const started = [];
+  const finishers = new Map();
+
+  const job = name => () => new Promise(resolve => {
+    started.push(name);
+    finishers.set(name, resolve);
+  });
+
+  const finish = async name => {
+    finishers.get(name)();
+    await flush();
+  };
+
+  return { started, job, finish };
+}
+
+// Runs every job to completion one by one and returns the order they ran in
+async function drain(scheduler, { started, finish }) {
+  scheduler.start();
+  await flush();
+  while (scheduler.pending > 0) {
+    await finish(started[started.length - 1]);
+  }
+  return started;
+}
+
+describe('FairScheduler', () => {
+  test('tenants take turns', async () => {
+    const scheduler = new FairScheduler({ concurrency: 1 });
+    const jobs = createJobs();
+
+    scheduler.pause();
+    ['a1', 'a2', 'a3'].forEach(name => scheduler.add(jobs.job(name), { tenant: 'a' }));
+    ['b1', 'b2'].forEach(name => scheduler.add(jobs.job(name), { tenant: 'b' }));
+
+    expect(await drain(scheduler, jobs)).toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+  });
+
+  test('sessions of one tenant take turns, each in priority order', async () => {
+    const scheduler = new FairScheduler({ concurrency: 1 });
+    const jobs = createJobs();
+
+    scheduler.pause();
+    scheduler.add(jobs.job('big-2'), { tenant: 'a', session: 'big', priority: 2 });
+    scheduler.add(jobs.job('big-0'), { tenant: 'a', session: 'big', priority: 0 });
+    scheduler.add(jobs.job('big-1'), { tenant: 'a', session: 'big', priority: 1 });
+    scheduler.add(jobs.job('small-0'), { tenant: 'a', session: 'small', priority: 0 });
+
+    expect(await drain(scheduler, jobs)).toEqual(['big-0', 'small-0', 'big-1', 'big-2']);
+  });
+
+  test('a tenant never runs more than its share of jobs', async () => {
+    const scheduler = new FairScheduler({ concurrency: 3, tenantConcurrency: 1 });
+    const { started, job, finish } = createJobs();
+
+    ['a1', 'a2', 'a3'].forEach(name => scheduler.add(job(name), { tenant: 'a' }));
+    await flush();
+    expect(started).toEqual(['a1']);
+
+    scheduler.add(job('b1'), { tenant: 'b' });
+    await flush();
+    expect(started).toEqual(['a1', 'b1']);
+    expect(scheduler.pending).toBe(2);
+
+    await finish('a1');
+    expect(started).toEqual(['a1', 'b1', 'a2']);
+    expect(scheduler.getTenantStats().a).toMatchObject({ queued: 1, running: 1 });
+  });
+
+  test('setConcurrency starts waiting jobs at once', async () => {
+    const scheduler = new FairScheduler({ concurrency: 1 });
+    const { started, job } = createJobs();
+
+    ['a1', 'a2', 'a3'].forEach(name => scheduler.add(job(name), { tenant: 'a' }));
+    await flush();
+    expect(started).toEqual(['a1']);
+
+    scheduler.setConcurrency({ concurrency: 3, tenantConcurrency: 2 });
+    await flush();
+    expect(started).toEqual(['a1', 'a2']);
+  });
+
+  describe('holds', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('a held tenant waits while the others keep running', async () => {
+      const scheduler = new FairScheduler({ concurrency: 2 });
+      const { started, job } = createJobs();
+
+      scheduler.holdTenant('a', 1000);
+      scheduler.add(job('a1'), { tenant: 'a' });
+      scheduler.add(job('b1'), { tenant: 'b' });
+      await flush();
+      expect(started).toEqual(['b1']);
+      expect(scheduler.isHeld('a')).toBe(true);
+
+      jest.advanceTimersByTime(1000);
+      await flush();
+      expect(started).toEqual(['b1', 'a1']);
+      expect(scheduler.isHeld('a')).toBe(false);
+    });
+
+    test('a shorter hold does not cut a longer one short', async () => {
+      const scheduler = new FairScheduler({ concurrency: 1 });
+      const { started, job } = createJobs();
+
+      scheduler.holdTenant('a', 5000);
+      scheduler.holdTenant('a', 1000);
+      scheduler.add(job('a1'), { tenant: 'a' });
+
+      jest.advanceTimersByTime(1000);
+      await flush();
+      expect(started).toEqual([]);
+
+      jest.advanceTimersByTime(4000);
+      await flush();
+      expect(started).toEqual(['a1']);
+    });
+
+    test('pause stops new jobs until start', async () => {
+      const scheduler = new FairScheduler({ concurrency: 2 });
+      const { started, job } = createJobs();
+
+      scheduler.pause();
+      scheduler.add(job('a1'), { tenant: 'a' });
+      await flush();
+      expect(started).toEqual([]);
+      expect(scheduler.size).toBe(1);
+
+      scheduler.start();
+      await flush();
+      expect(started).toEqual(['a1']);
+      expect(scheduler.size).toBe(0);
+    });
+  });
+
+  describe('abort signals', () => {
+    test('share one listener and drop their queued jobs when aborted', async () => {
+      const scheduler = new FairScheduler({ concurrency: 1 });
+      const { started, job } = createJobs();
+      const controller = new AbortController();
+
+      scheduler.add(job('a1'), { tenant: 'a', session: 's', signal: controller.signal });
+      const queued = ['a2', 'a3', 'a4'].map(name => {
+        return scheduler.add(job(name), { tenant: 'a', session: 's', signal: controller.signal });
+      });
+      await flush();
+
+      expect(started).toEqual(['a1']);
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(1);
+
+      controller.abort();
+      const results = await Promise.allSettled(queued);
+
+      expect(results.map(result => result.reason?.name)).toEqual(['AbortError', 'AbortError', 'AbortError']);
+      expect(scheduler.size).toBe(0);
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+      // The job already running is left to its own request to abort
+      expect(scheduler.pending).toBe(1);
+      expect(started).toEqual(['a1']);
+    });
+
+    test('release their listener once every job has started', async () => {
+      const scheduler = new FairScheduler({ concurrency: 2 });
+      const { job, finish } = createJobs();
+      const controller = new AbortController();
+
+      scheduler.add(job('a1'), { tenant: 'a', signal: controller.signal });
+      scheduler.add(job('a2'), { tenant: 'a', signal: controller.signal });
+      scheduler.add(job('a3'), { tenant: 'a', signal: controller.signal });
+      await flush();
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(1);
+
+      await finish('a1');
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+
+    test('an already aborted signal is refused without queueing', async () => {
+      const scheduler = new FairScheduler();
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(scheduler.add(() => {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(scheduler.size).toBe(0);
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { REPO_SORTS, encodeCursor, decodeRepoCursor, decodeBranchCursor } from '../src/utils/listCursors.js';
+
+const repos = [
+  { id: 3, full_name: 'octo-org/api', updated_at: '2026-03-01T00:00:00Z' },
+  { id: 1, full_name: 'octo-org/Docs', updated_at: '2026-02-01T00:00:00Z' },
+  { id: 2, full_name: 'octo-org/web', updated_at: '2026-02-01T00:00:00Z' }
+];
+
+function repoCursor(sort, repo) {
+  return encodeCursor({ sort, position: REPO_SORTS[sort].position(repo) });
+}
+
+describe('decodeRepoCursor', () => {
+  test.each(Object.keys(REPO_SORTS))('resumes after the repository that ended the page, sorted by %s', sort => {
+    const { compare } = REPO_SORTS[sort];
+    const sorted = [...repos].sort(compare);
+
+    const after = decodeRepoCursor(repoCursor(sort, sorted[0]), sort);
+
+    expect(sorted.filter(repo => compare(repo, after) > 0)).toEqual(sorted.slice(1));
+  });
+
+  test.each([
+    ['not base64 JSON', '%%%'],
+    ['JSON but not an object', encodeCursor(42)],
+    ['made for another sort', repoCursor('name', repos[0])],
+    ['missing its position', encodeCursor({ sort: 'updated' })],
+    ['a position of the wrong shape', encodeCursor({ sort: 'updated', position: { id: '3', updated_at: 7 } })]
+  ])('refuses a cursor %s', (_, cursor) => {
+    expect(decodeRepoCursor(cursor, 'updated')).toBeNull();
+  });
+});
+
+describe('decodeBranchCursor', () => {
+  test('reads the branch and offset a page ended at', () => {
+    expect(decodeBranchCursor(encodeCursor({ name: 'release/1.0', offset: 50 }))).toEqual({
+      name: 'release/1.0',
+      offset: 50
+    });
+  });
+
+  test.each([
+    ['garbage', 'not-a-cursor'],
+    ['a negative offset', encodeCursor({ name: 'main', offset: -1 })],
+    ['a fractional offset', encodeCursor({ name: 'main', offset: 1.5 })],
+    ['no branch name', encodeCursor({ offset: 1 })],
+    ['a repository cursor', repoCursor('updated', repos[0])]
+  ])('refuses %s', (_, cursor) => {
+    expect(decodeBranchCursor(cursor)).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../src/utils/zipExtractor.js', () => ({
+  cleanupTemp: jest.fn(async () => {})
+}));
+
+const { cleanupTemp } = await import('../src/utils/zipExtractor.js');
+const { default: sessionStore } = await import('../src/services/sessionStore.js');
+
+const TTL = 60 * 1000;
+
+let sessionDir;
+
+function ago(ms) {
+  return new Date(Date.now() - ms).toISOString();
+}
+
+// Writes a session the way a previous run of the server left it
+async function writeSession(sessionId, session) {
+  await fs.mkdir(sessionDir, { recursive: true });
+  await fs.writeFile(path.join(sessionDir, `${sessionId}.json`), JSON.stringify(session));
+}
+
+async function readSession(sessionId) {
+  return JSON.parse(await fs.readFile(path.join(sessionDir, `${sessionId}.json`), 'utf8'));
+}
+
+async function init() {
+  sessionStore.cache = new Map();
+  await sessionStore.init();
+}
+
+beforeEach(async () => {
+  sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-test-'));
+  process.env.UPLOAD_SESSION_STORE = 'file';
+  process.env.UPLOAD_SESSION_DIR = sessionDir;
+  process.env.UPLOAD_SESSION_TTL = String(TTL);
+  cleanupTemp.mockClear();
+});
+
+afterEach(async () => {
+  sessionStore.stop();
+  jest.restoreAllMocks();
+  delete process.env.UPLOAD_SESSION_STORE;
+  delete process.env.UPLOAD_SESSION_DIR;
+  delete process.env.UPLOAD_SESSION_TTL;
+  await fs.rm(sessionDir, { recursive: true, force: true });
+});
+
+describe('init', () => {
+  test('marks uploads cut off by the last shutdown as interrupted', async () => {
+    await writeSession('running', { status: 'uploading', startedAt: ago(TTL * 2) });
+    await writeSession('done', { status: 'completed', startedAt: ago(1000) });
+
+    await init();
+
+    expect(await readSession('running')).toMatchObject({
+      status: 'interrupted',
+      interruptedAt: expect.any(String)
+    });
+    expect((await sessionStore.get('running')).status).toBe('interrupted');
+    expect((await readSession('done')).status).toBe('completed');
+  });
+});
+
+describe('eviction', () => {
+  test('drops sessions idle past the TTL, with their extracted files', async () => {
+    await writeSession('stale', { status: 'completed', tempId: 'upload_stale', updatedAt: ago(TTL + 1000) });
+    await writeSession('fresh', { status: 'completed', tempId: 'upload_fresh', updatedAt: ago(TTL - 10000) });
+
+    await init();
+
+    expect(await sessionStore.get('stale')).toBeNull();
+    expect(await sessionStore.get('fresh')).not.toBeNull();
+    expect(await fs.readdir(sessionDir)).toEqual(['fresh.json']);
+    expect(cleanupTemp).toHaveBeenCalledTimes(1);
+    expect(cleanupTemp).toHaveBeenCalledWith('upload_stale');
+  });
+
+  test('never drops a session that is still uploading', async () => {
+    await init();
+    const session = { status: 'uploading', startedAt: ago(TTL * 2) };
+    await sessionStore.save('active', session);
+    session.updatedAt = ago(TTL * 2);
+
+    await sessionStore.evictExpired();
+    expect(await sessionStore.get('active')).toBe(session);
+
+    session.status = 'completed';
+    await sessionStore.evictExpired();
+    expect(await sessionStore.get('active')).toBeNull();
+  });
+
+  test('a session expiring between sweeps is not served', async () => {
+    await init();
+    await writeSession('stale', { status: 'failed', updatedAt: ago(TTL + 1000) });
+
+    expect(await sessionStore.get('stale')).toBeNull();
+    expect(await fs.readdir(sessionDir)).toEqual([]);
+  });
+});
+
+describe('file driver', () => {
+  test('writes a temp file and renames it into place', async () => {
+    await init();
+    const rename = jest.spyOn(fs, 'rename');
+
+    await sessionStore.save('abc-123', { status: 'ready', files: [] });
+
+    const target = path.join(sessionDir, 'abc-123.json');
+    expect(rename).toHaveBeenCalledTimes(1);
+    const [temp, destination] = rename.mock.calls[0];
+    expect(destination).toBe(target);
+    expect(path.dirname(temp)).toBe(sessionDir);
+    expect(temp).toMatch(/\.tmp$/);
+
+    expect(await fs.readdir(sessionDir)).toEqual(['abc-123.json']);
+    expect(await readSession('abc-123')).toMatchObject({ status: 'ready', updatedAt: expect.any(String) });
+  });
+
+  test('overlapping saves of one session each use their own temp file', async () => {
+    await init();
+    const rename = jest.spyOn(fs, 'rename');
+
+    await Promise.all([
+      sessionStore.save('abc-123', { status: 'uploading' }),
+      sessionStore.save('abc-123', { status: 'completed' })
+    ]);
+
+    const temps = rename.mock.calls.map(([temp]) => temp);
+    expect(new Set(temps).size).toBe(2);
+    expect(await fs.readdir(sessionDir)).toEqual(['abc-123.json']);
+  });
+
+  test('ids that could not have been issued are never read from disk', async () => {
+    await init();
+    const readFile = jest.spyOn(fs, 'readFile');
+
+    expect(await sessionStore.get('../secrets')).toBeNull();
+    expect(readFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The repository's .uploader.yml, or null when it has none
+const repo = { policy: null };
+
+jest.unstable_mockModule('../src/utils/gitData.js', () => ({
+  getFileContent: jest.fn(async () => (repo.policy === null ? null : Buffer.from(repo.policy)))
+}));
+
+const { default: uploadPolicy } = await import('../src/services/uploadPolicy.js');
+
+const repoConfig = { owner: 'octo-org', repo: 'docs' };
+
+let workDir;
+
+async function useServerPolicy(yaml) {
+  const policyPath = path.join(workDir, 'upload-policy.yml');
+  await fs.writeFile(policyPath, yaml);
+  process.env.UPLOAD_POLICY_FILE = policyPath;
+}
+
+function resolve(installationId = 42) {
+  return uploadPolicy.resolve(installationId, repoConfig, 'main', 'token');
+}
+
+function file(filePath, size = 10) {
+  return { path: filePath, size };
+}
+
+beforeAll(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-test-'));
+});
+
+afterAll(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  // The server policy is read once per process
+  uploadPolicy.serverConfig = null;
+  repo.policy = null;
+});
+
+afterEach(() => {
+  delete process.env.UPLOAD_POLICY_FILE;
+});
+
+describe('resolve', () => {
+  test('without any policy only GitHub limits apply', async () => {
+    const policy = await resolve();
+
+    expect(policy.layers).toEqual([{ source: 'global policy', allow: [], deny: [] }]);
+    expect(policy.maxFileSize).toBe(100 * 1024 * 1024);
+    expect(policy.maxFiles).toBe(1000);
+    expect(uploadPolicy.checkFile(file('tools/setup.exe'), policy)).toBeNull();
+  });
+
+  test('stacks the global, installation and repository levels, the tightest limit winning', async () => {
+    await useServerPolicy([
+      'deny: "*.exe"',
+      'maxFileSize: 50MB',
+      'maxFiles: 500',
+      'installations:',
+      '  42:',
+      '    deny: secrets/',
+      '    maxFiles: 200',
+      '  7:',
+      '    maxFiles: 1'
+    ].join('\n'));
+    repo.policy = 'allow: docs/\nmaxFileSize: 1MB\n';
+
+    const policy = await resolve(42);
+
+    expect(policy.layers.map(layer => layer.source)).toEqual([
+      'global policy',
+      'installation 42 policy',
+      '.uploader.yml'
+    ]);
+    expect(policy.maxFileSize).toBe(1024 * 1024);
+    expect(policy.maxFiles).toBe(200);
+  });
+
+  test('other installations\' rules are left out', async () => {
+    await useServerPolicy('installations:\n  7:\n    deny: "*.md"\n');
+
+    const policy = await resolve(42);
+
+    expect(policy.layers).toHaveLength(1);
+    expect(uploadPolicy.checkFile(file('docs/readme.md'), policy)).toBeNull();
+  });
+
+  test('a lower level cannot allow what a higher one denies', async () => {
+    await useServerPolicy('deny: "*.exe"\n');
+    repo.policy = 'allow: "*.exe"\n';
+
+    const policy = await resolve();
+
+    expect(uploadPolicy.checkFile(file('tools/setup.exe'), policy)).toEqual({
+      reason: 'blocked-extension',
+      detail: 'denied by global policy (*.exe)'
+    });
+    expect(uploadPolicy.checkFile(file('docs/readme.md'), policy)).toEqual({
+      reason: 'policy-rule',
+      detail: 'not allowed by .uploader.yml'
+    });
+  });
+
+  test('an invalid .uploader.yml is reported against the repository', async () => {
+    repo.policy = 'maxFiles: lots\n';
+
+    await expect(resolve()).rejects.toMatchObject({
+      code: 'INVALID_POLICY',
+      status: 400,
+      message: '.uploader.yml: maxFiles must be a positive whole number'
+    });
+  });
+
+  test('an unreadable server policy is a server error', async () => {
+    process.env.UPLOAD_POLICY_FILE = path.join(workDir, 'missing.yml');
+
+    await expect(resolve()).rejects.toMatchObject({ code: 'INVALID_POLICY', status: 500 });
+  });
+});
+
+describe('checkFile', () => {
+  const policy = {
+    maxFileSize: 1024,
+    maxFiles: 10,
+    layers: [{ source: 'global policy', allow: [], deny: ['*.exe', 'build/', '/secrets.txt', 'tmp/*.log'] }]
+  };
+
+  test('only a deny glob naming an extension is a blocked extension', () => {
+    expect(uploadPolicy.checkFile(file('bin/tool.exe'), policy)).toMatchObject({ reason: 'blocked-extension' });
+
+    expect(uploadPolicy.checkFile(file('site/build/app.js'), policy)).toEqual({
+      reason: 'policy-rule',
+      detail: 'denied by global policy (build/)'
+    });
+    expect(uploadPolicy.checkFile(file('secrets.txt'), policy)).toMatchObject({ reason: 'policy-rule' });
+    expect(uploadPolicy.checkFile(file('tmp/debug.log'), policy)).toMatchObject({ reason: 'policy-rule' });
+    expect(uploadPolicy.checkFile(file('docs/readme.md', 2048), policy)).toEqual({
+      reason: 'policy-rule',
+      detail: 'larger than the maximum file size of 1KB'
+    });
+  });
+
+  test('globs follow .gitignore anchoring', () => {
+    expect(uploadPolicy.checkFile(file('nested/secrets.txt'), policy)).toBeNull();
+    expect(uploadPolicy.checkFile(file('nested/tmp/debug.log'), policy)).toBeNull();
+    expect(uploadPolicy.checkFile(file('build.md'), policy)).toBeNull();
+  });
+});
+
+describe('apply', () => {
+  const policy = {
+    maxFileSize: 1024,
+    maxFiles: 2,
+    layers: [{ source: 'global policy', allow: [], deny: ['*.exe'] }]
+  };
+
+  test('splits allowed files from skipped ones', () => {
+    const result = uploadPolicy.apply([file('a.md'), file('b.exe'), file('c.md')], policy);
+
+    expect(result.allowed.map(allowed => allowed.path)).toEqual(['a.md', 'c.md']);
+    expect(result.skipped).toEqual([{
+      path: 'b.exe',
+      size: 10,
+      reason: 'blocked-extension',
+      detail: 'denied by global policy (*.exe)'
+    }]);
+  });
+
+  test('too many allowed files fails the upload', () => {
+    expect(() => uploadPolicy.apply([file('a.md'), file('b.md'), file('c.md')], policy)).toThrow(
+      expect.objectContaining({ code: 'POLICY_LIMIT', status: 413 })
+    );
+  });
+});
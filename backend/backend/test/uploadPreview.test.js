@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+
+// The branch the session is planned against: a head commit and its tree
+const branch = {
+  head: { commitSha: 'commit-1', treeSha: 'tree-1' },
+  tree: { truncated: false, entries: new Map() }
+};
+
+jest.unstable_mockModule('../src/utils/gitData.js', () => ({
+  getBranchHead: jest.fn(async () => branch.head),
+  getRecursiveTree: jest.fn(async () => branch.tree),
+  getBlobContent: jest.fn()
+}));
+
+const { getRecursiveTree } = await import('../src/utils/gitData.js');
+const { planSessionRun } = await import('../src/services/uploadPreview.js');
+
+function treeEntry(sha, mode = '100644') {
+  return { sha, mode, type: 'blob', size: 1 };
+}
+
+function createSession({ mirror = false, maxDeletions = 0 } = {}) {
+  const files = ['docs/a.md', 'docs/b.md', 'docs/c.md'].map(path => ({
+    path,
+    sha: `local-${path}`,
+    size: 1,
+    status: 'pending'
+  }));
+
+  return {
+    files,
+    archivePaths: files.map(file => file.path),
+    config: { owner: 'octo-org', repo: 'docs', branch: 'main', basePath: 'docs', mirror, maxDeletions },
+    stats: { total: files.length, completed: 0, failed: 0, skipped: 0 }
+  };
+}
+
+describe('planSessionRun', () => {
+  beforeEach(() => {
+    branch.tree = { truncated: false, entries: new Map() };
+    getRecursiveTree.mockImplementation(async () => branch.tree);
+  });
+
+  test('narrows the session to the selected files once the plan holds', async () => {
+    const session = createSession();
+    branch.tree.entries.set('docs/b.md', treeEntry('local-docs/b.md'));
+
+    const plan = await planSessionRun(session, 'token', ['docs/a.md', 'docs/b.md']);
+
+    expect(plan.changedFiles.map(file => file.path)).toEqual(['docs/a.md']);
+    expect(session.files.map(file => file.path)).toEqual(['docs/a.md', 'docs/b.md']);
+    expect(session.stats.total).toBe(2);
+    expect(session.unchanged).toEqual(['docs/b.md']);
+    expect(session.baseCommit).toBe(branch.head);
+  });
+
+  test('a plan over the mirror deletion limit keeps every file of the session', async () => {
+    const session = createSession({ mirror: true, maxDeletions: 1 });
+    branch.tree.entries.set('docs/old-1.md', treeEntry('old-1'));
+    branch.tree.entries.set('docs/old-2.md', treeEntry('old-2'));
+
+    await expect(planSessionRun(session, 'token', ['docs/a.md', 'docs/old-1.md', 'docs/old-2.md']))
+      .rejects.toMatchObject({ code: 'MIRROR_LIMIT' });
+
+    expect(session.files.map(file => file.path)).toEqual(['docs/a.md', 'docs/b.md', 'docs/c.md']);
+    expect(session.stats.total).toBe(3);
+    expect(session.deletions).toBeUndefined();
+
+    // A wider selection with fewer deletions still reaches the deselected files
+    const plan = await planSessionRun(session, 'token', ['docs/a.md', 'docs/c.md', 'docs/old-1.md']);
+
+    expect(plan.changedFiles.map(file => file.path)).toEqual(['docs/a.md', 'docs/c.md']);
+    expect(plan.deletions.map(deletion => deletion.path)).toEqual(['docs/old-1.md']);
+    expect(session.stats.total).toBe(2);
+    expect(session.deletions).toEqual(['docs/old-1.md']);
+  });
+
+  test('a failed tree fetch leaves the session as it was', async () => {
+    const session = createSession();
+    getRecursiveTree.mockRejectedValueOnce(new Error('Server Error'));
+
+    await expect(planSessionRun(session, 'token', ['docs/a.md'])).rejects.toThrow('Server Error');
+
+    expect(session.files).toHaveLength(3);
+    expect(session.stats.total).toBe(3);
+    expect(session.baseCommit).toBeUndefined();
+  });
+});
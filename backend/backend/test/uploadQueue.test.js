@@ -0,0 +1,326 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/gitData.js', () => ({
+  getBranchHead: jest.fn(),
+  getBranchRefSha: jest.fn(),
+  createBlob: jest.fn(),
+  createBlobHash: jest.fn(),
+  createTree: jest.fn(),
+  createCommit: jest.fn(),
+  updateBranchRef: jest.fn(),
+  createBranchRef: jest.fn(),
+  createPullRequest: jest.fn()
+}));
+
+jest.unstable_mockModule('../src/github/auth.js', () => ({
+  default: {
+    getInstallationToken: jest.fn(async () => 'token'),
+    invalidateInstallationToken: jest.fn()
+  }
+}));
+
+const gitData = await import('../src/utils/gitData.js');
+const uploadQueue = (await import('../src/services/uploadQueue.js')).default;
+
+// An axios error as GitHub would answer it
+function responseError(status, { headers = {}, message = '' } = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: { message } };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('commitSession', () => {
+  const repoConfig = { installationId: '1', owner: 'octo-org', repo: 'docs', branch: 'main', commitMessage: 'Upload' };
+  const baseHead = { commitSha: 'parent', treeSha: 'parent-tree' };
+  const entries = [{ path: 'a.md', mode: '100644', type: 'blob', sha: 'blob-a' }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Retries run at once here; only whether one is made matters
+    const getRetryDelay = uploadQueue.getRetryDelay.bind(uploadQueue);
+    jest.spyOn(uploadQueue, 'getRetryDelay').mockImplementation((error, attempt) => {
+      return getRetryDelay(error, attempt) === null ? null : 0;
+    });
+    gitData.createTree.mockResolvedValue('tree');
+    gitData.createCommit.mockResolvedValue({ sha: 'commit', html_url: 'https://github.com/octo-org/docs/commit/commit' });
+  });
+
+  afterEach(() => {
+    uploadQueue.getRetryDelay.mockRestore();
+    uploadQueue.releaseSession('commit-session');
+  });
+
+  test('a ref write that failed after moving the branch counts as done', async () => {
+    gitData.updateBranchRef.mockRejectedValueOnce(responseError(502));
+    gitData.getBranchRefSha.mockResolvedValueOnce('commit');
+
+    const result = await uploadQueue.commitSession(entries, repoConfig, 'commit-session', baseHead);
+
+    expect(result.sha).toBe('commit');
+    expect(gitData.updateBranchRef).toHaveBeenCalledTimes(1);
+  });
+
+  test('a ref write that never landed is sent again', async () => {
+    gitData.updateBranchRef
+      .mockRejectedValueOnce(networkError('ETIMEDOUT'))
+      .mockResolvedValueOnce({});
+    gitData.getBranchRefSha.mockResolvedValueOnce('parent');
+
+    await uploadQueue.commitSession(entries, repoConfig, 'commit-session', baseHead);
+
+    expect(gitData.updateBranchRef).toHaveBeenCalledTimes(2);
+  });
+
+  test('a new branch created by a timed out request is not created twice', async () => {
+    gitData.createBranchRef.mockRejectedValueOnce(networkError('ECONNRESET'));
+    gitData.getBranchRefSha.mockResolvedValueOnce('commit');
+
+    const result = await uploadQueue.commitSession(entries, {
+      ...repoConfig,
+      branch: 'upload',
+      baseBranch: 'main'
+    }, 'commit-session', baseHead);
+
+    expect(result.sha).toBe('commit');
+    expect(gitData.createBranchRef).toHaveBeenCalledTimes(1);
+  });
+
+  test('a rejected first ref write is not read back', async () => {
+    gitData.updateBranchRef.mockRejectedValueOnce(responseError(422, { message: 'Update is not a fast forward' }));
+
+    await expect(uploadQueue.commitSession(entries, repoConfig, 'commit-session', baseHead))
+      .rejects.toMatchObject({ response: { status: 422 } });
+    expect(gitData.getBranchRefSha).not.toHaveBeenCalled();
+  });
+});
+
+describe('configure', () => {
+  afterEach(() => {
+    delete process.env.UPLOAD_CONCURRENCY;
+    delete process.env.UPLOAD_TENANT_CONCURRENCY;
+    uploadQueue.configure();
+  });
+
+  // server.js calls it once .env is loaded, after this module was imported
+  test('applies the concurrency settings from the environment', () => {
+    process.env.UPLOAD_CONCURRENCY = '6';
+    process.env.UPLOAD_TENANT_CONCURRENCY = '2';
+    uploadQueue.configure();
+
+    expect(uploadQueue.queue.concurrency).toBe(6);
+    expect(uploadQueue.queue.tenantConcurrency).toBe(2);
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('backs off exponentially with jitter between half and all of the step', () => {
+    [[0, 1000], [1, 2000], [2, 4000]].forEach(([attempt, step]) => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(uploadQueue.getRetryDelay(responseError(502), attempt)).toBe(step / 2);
+
+      Math.random.mockReturnValue(0.999999);
+      expect(uploadQueue.getRetryDelay(responseError(502), attempt)).toBe(step);
+    });
+  });
+
+  test('retries network failures it knows to be transient only', () => {
+    expect(uploadQueue.getRetryDelay(networkError('ECONNRESET'), 0)).not.toBeNull();
+    expect(uploadQueue.getRetryDelay(networkError('ETIMEDOUT'), 0)).not.toBeNull();
+    expect(uploadQueue.getRetryDelay(networkError('ENOTFOUND'), 0)).toBeNull();
+    expect(uploadQueue.getRetryDelay(new Error('Bad input'), 0)).toBeNull();
+  });
+
+  test('gives up on client errors, an empty repository included', () => {
+    expect(uploadQueue.getRetryDelay(responseError(404), 0)).toBeNull();
+    expect(uploadQueue.getRetryDelay(responseError(409, { message: 'Git Repository is empty.' }), 0)).toBeNull();
+    expect(uploadQueue.getRetryDelay(responseError(422), 0)).toBeNull();
+    expect(uploadQueue.getRetryDelay(responseError(403, { message: 'Resource not accessible by integration' }), 0)).toBeNull();
+  });
+
+  test('waits as long as Retry-After asks', () => {
+    expect(uploadQueue.getRetryDelay(responseError(503, { headers: { 'retry-after': '7' } }), 0)).toBe(7000);
+    expect(uploadQueue.getRetryDelay(responseError(429, { headers: { 'retry-after': '30' } }), 2)).toBe(30000);
+  });
+});
+
+describe('withRetry', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('waits out each backoff step before trying again', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(responseError(502))
+      .mockRejectedValueOnce(responseError(503))
+      .mockResolvedValueOnce('ok');
+    const retries = [];
+    const onRetry = event => retries.push(event.delay);
+    uploadQueue.on('jobRetry', onRetry);
+
+    const result = uploadQueue.withRetry(operation, { jobId: 'job' });
+
+    await jest.advanceTimersByTimeAsync(499);
+    expect(operation).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(operation).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    await expect(result).resolves.toBe('ok');
+    expect(retries).toEqual([500, 1000]);
+    uploadQueue.off('jobRetry', onRetry);
+  });
+
+  test('gives up after the last retry', async () => {
+    const operation = jest.fn().mockRejectedValue(responseError(500));
+
+    const result = uploadQueue.withRetry(operation, { jobId: 'job' });
+    result.catch(() => {});
+    await jest.advanceTimersByTimeAsync(60000);
+
+    await expect(result).rejects.toMatchObject({ response: { status: 500 } });
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  test('stops waiting when the session is cancelled', async () => {
+    const controller = new AbortController();
+    const operation = jest.fn().mockRejectedValue(responseError(502));
+
+    const result = uploadQueue.withRetry(operation, { jobId: 'job' }, controller.signal);
+    await jest.advanceTimersByTimeAsync(100);
+    controller.abort();
+
+    await expect(result).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('rate limits', () => {
+  const NOW = Date.parse('2026-01-01T00:00:00Z');
+  const resetIn = seconds => String(Math.floor(NOW / 1000) + seconds);
+
+  function exhausted(seconds) {
+    const headers = { 'x-ratelimit-remaining': '0', 'x-ratelimit-limit': '5000' };
+    if (seconds !== undefined) {
+      headers['x-ratelimit-reset'] = resetIn(seconds);
+    }
+    return responseError(403, { headers, message: 'API rate limit exceeded' });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    uploadQueue.queue.clear();
+    uploadQueue.rateLimits.clear();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('an exhausted limit waits until it resets, plus the buffer', () => {
+    expect(uploadQueue.getRetryDelay(exhausted(120), 0)).toBe(121000);
+    // However many retries came before
+    expect(uploadQueue.getRetryDelay(exhausted(120), 3)).toBe(121000);
+  });
+
+  test('an exhausted limit without a reset time waits a minute', () => {
+    expect(uploadQueue.getRetryDelay(exhausted(), 0)).toBe(60000);
+  });
+
+  test('a secondary rate limit waits for Retry-After, or a minute without it', () => {
+    const message = 'You have exceeded a secondary rate limit';
+    expect(uploadQueue.getRetryDelay(responseError(403, { message }), 0)).toBe(60000);
+    expect(uploadQueue.getRetryDelay(responseError(403, { message, headers: { 'retry-after': '90' } }), 0)).toBe(90000);
+  });
+
+  test('a running job waits for the reset and holds its installation meanwhile', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(exhausted(120))
+      .mockResolvedValueOnce('ok');
+    const events = [];
+    const record = type => event => events.push([type, event.installationId]);
+    const onExceeded = record('exceeded');
+    const onResumed = record('resumed');
+    uploadQueue.on('rateLimitExceeded', onExceeded);
+    uploadQueue.on('rateLimitResumed', onResumed);
+
+    const result = uploadQueue.withRetry(operation, { jobId: 'job', installationId: 'limited' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(uploadQueue.queue.isHeld('limited')).toBe(true);
+    expect(uploadQueue.queue.isHeld('other')).toBe(false);
+    expect(uploadQueue.getRateLimit('limited')).toMatchObject({ remaining: 0, exceeded: true });
+
+    await jest.advanceTimersByTimeAsync(120999);
+    expect(operation).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(result).resolves.toBe('ok');
+    expect(uploadQueue.queue.isHeld('limited')).toBe(false);
+    expect(events).toEqual([['exceeded', 'limited'], ['resumed', 'limited']]);
+    uploadQueue.off('rateLimitExceeded', onExceeded);
+    uploadQueue.off('rateLimitResumed', onResumed);
+  });
+
+  test('a secondary rate limit holds only the installation that hit it', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(responseError(429, { headers: { 'retry-after': '10' } }))
+      .mockResolvedValueOnce('ok');
+
+    const result = uploadQueue.withRetry(operation, { jobId: 'job', installationId: 'limited' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(uploadQueue.queue.isHeld('limited')).toBe(true);
+    expect(uploadQueue.queue.isHeld('other')).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(10000);
+    await expect(result).resolves.toBe('ok');
+  });
+
+  test('a nearly spent budget is spread over the time until the reset', () => {
+    const warnings = [];
+    const onWarning = event => warnings.push(event);
+    uploadQueue.on('rateLimitWarning', onWarning);
+
+    uploadQueue.checkRateLimits({
+      'x-ratelimit-remaining': '5',
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-reset': resetIn(50)
+    }, 'throttled');
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ installationId: 'throttled', remaining: 5, throttleDelay: 10000 });
+    expect(uploadQueue.queue.isHeld('throttled')).toBe(true);
+
+    jest.advanceTimersByTime(10000);
+    expect(uploadQueue.queue.isHeld('throttled')).toBe(false);
+    uploadQueue.off('rateLimitWarning', onWarning);
+  });
+
+  test('a healthy budget does not throttle', () => {
+    uploadQueue.checkRateLimits({
+      'x-ratelimit-remaining': '4000',
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-reset': resetIn(3600)
+    }, 'healthy');
+
+    expect(uploadQueue.queue.isHeld('healthy')).toBe(false);
+    expect(uploadQueue.getRateLimit('healthy')).toMatchObject({ remaining: 4000, limit: 5000 });
+  });
+});
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Recorded deliveries, replayed byte for byte through the same functions the
+// webhook route calls
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'webhooks');
+const SECRET = 'test-webhook-secret';
+const INSTALLATION_ID = 48213977;
+
+function readFixture(name) {
+  const rawBody = fs.readFileSync(path.join(FIXTURES, `${name}.json`));
+  return { rawBody, payload: JSON.parse(rawBody) };
+}
+
+function sign(rawBody, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+let GitHubAuth;
+let repoCache;
+let sessionStore;
+let verifyWebhookSignature;
+let handleWebhookEvent;
+
+beforeAll(async () => {
+  // auth.js reads the key when it is imported
+  process.env.GITHUB_APP_PRIVATE_KEY = 'unused';
+
+  GitHubAuth = (await import('../src/github/auth.js')).default;
+  repoCache = (await import('../src/services/repoCache.js')).default;
+  sessionStore = (await import('../src/services/sessionStore.js')).default;
+  ({ verifyWebhookSignature, handleWebhookEvent } = await import('../src/github/webhooks.js'));
+});
+
+async function addSession(sessionId, repo, status = 'pending') {
+  await sessionStore.save(sessionId, {
+    status,
+    startedAt: new Date().toISOString(),
+    config: { installationId: String(INSTALLATION_ID), owner: 'octo-org', repo }
+  });
+}
+
+describe('verifyWebhookSignature', () => {
+  const { rawBody } = readFixture('installation.created');
+
+  test('accepts the signature GitHub would send', () => {
+    expect(verifyWebhookSignature(rawBody, sign(rawBody), SECRET)).toBe(true);
+  });
+
+  test('rejects a body changed after signing', () => {
+    const tampered = Buffer.from(rawBody.toString().replace('"created"', '"deleted"'));
+    expect(verifyWebhookSignature(tampered, sign(rawBody), SECRET)).toBe(false);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    expect(verifyWebhookSignature(rawBody, sign(rawBody, 'other-secret'), SECRET)).toBe(false);
+  });
+
+  test('rejects missing or malformed signatures and a missing secret', () => {
+    expect(verifyWebhookSignature(rawBody, undefined, SECRET)).toBe(false);
+    expect(verifyWebhookSignature(rawBody, 'sha1=abc', SECRET)).toBe(false);
+    expect(verifyWebhookSignature(rawBody, 'sha256=abc', SECRET)).toBe(false);
+    expect(verifyWebhookSignature(rawBody, sign(rawBody), '')).toBe(false);
+  });
+});
+
+describe('handleWebhookEvent', () => {
+  beforeEach(() => {
+    GitHubAuth.restoreInstallation(INSTALLATION_ID);
+    repoCache.set(INSTALLATION_ID, [{ etag: null, items: [], hasNext: false }]);
+  });
+
+  test('installation deleted revokes it and cancels its open sessions', async () => {
+    await addSession('deleted-pending', 'docs');
+    await addSession('deleted-done', 'docs', 'completed');
+
+    const { payload } = readFixture('installation.deleted');
+    const result = await handleWebhookEvent('installation', payload);
+
+    expect(result.handled).toBe(true);
+    expect(result.cancelledSessions).toEqual(['deleted-pending']);
+    expect(GitHubAuth.isInstallationRevoked(INSTALLATION_ID)).toBe(true);
+    expect(repoCache.get(INSTALLATION_ID)).toBeNull();
+    expect((await sessionStore.get('deleted-pending')).status).toBe('cancelled');
+    expect((await sessionStore.get('deleted-done')).status).toBe('completed');
+  });
+
+  test('installation suspend revokes it', async () => {
+    const { payload } = readFixture('installation.suspend');
+    const result = await handleWebhookEvent('installation', payload);
+
+    expect(result.handled).toBe(true);
+    expect(GitHubAuth.isInstallationRevoked(INSTALLATION_ID)).toBe(true);
+  });
+
+  test('installation created lifts an earlier revocation', async () => {
+    GitHubAuth.revokeInstallation(INSTALLATION_ID);
+
+    const { payload } = readFixture('installation.created');
+    const result = await handleWebhookEvent('installation', payload);
+
+    expect(result.handled).toBe(true);
+    expect(GitHubAuth.isInstallationRevoked(INSTALLATION_ID)).toBe(false);
+    expect(repoCache.get(INSTALLATION_ID)).toBeNull();
+  });
+
+  test('repositories added drops the cached repository list', async () => {
+    const { payload } = readFixture('installation_repositories.added');
+    const result = await handleWebhookEvent('installation_repositories', payload);
+
+    expect(result.handled).toBe(true);
+    expect(repoCache.get(INSTALLATION_ID)).toBeNull();
+  });
+
+  test('repositories removed cancels only sessions for those repositories', async () => {
+    await addSession('removed-api', 'api');
+    await addSession('removed-docs', 'docs');
+
+    const { payload } = readFixture('installation_repositories.removed');
+    const result = await handleWebhookEvent('installation_repositories', payload);
+
+    expect(result.handled).toBe(true);
+    expect(result.cancelledSessions).toEqual(['removed-api']);
+    expect((await sessionStore.get('removed-api')).status).toBe('cancelled');
+    expect((await sessionStore.get('removed-docs')).status).toBe('pending');
+  });
+
+  test('unknown events are left unhandled', async () => {
+    expect(await handleWebhookEvent('push', {})).toEqual({ handled: false });
+  });
+});